@@ -0,0 +1,136 @@
+import { findHighlight, setHighlightNote } from "../core/HighlightEditor";
+import { parseQuery, matchesQuery } from "../core/HighlightQuery";
+
+// Bumped on breaking changes to the methods or payloads below
+export const API_VERSION = 1;
+
+// Workspace events fired with the highlight payload
+export const HIGHLIGHT_EVENTS = {
+    created: "reader-highlighter:highlight-created",
+    removed: "reader-highlighter:highlight-removed",
+    changed: "reader-highlighter:highlight-changed",
+};
+
+/**
+ * Public API for other plugins and scripts, available as
+ * `app.plugins.plugins["reader-highlighter-tags"].api`. Every write goes
+ * through the plugin's undo history.
+ *
+ * Files are TFiles or vault paths. Highlights are plain objects:
+ * { id, text, color, style, tags, note, start, end, ... } with offsets into
+ * the note's content, plus `path` in query results.
+ */
+export class ReaderHighlighterApi {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.app = plugin.app;
+        this.version = API_VERSION;
+        this.events = HIGHLIGHT_EVENTS;
+    }
+
+    /**
+     * Highlight `range` ({ start, end } offsets into the note's content).
+     * @param {object} options - `color` (hex) for a `<mark>` highlight, else
+     *        the plugin's default; `tags` (string[]); `note` annotation text
+     * @returns {Promise<Array>} The highlights written over the range
+     */
+    async highlight(file, range, { color = null, tags = [], note = "" } = {}) {
+        const target = this.resolveFile(file);
+        this.checkRange(range);
+        const plugin = this.plugin;
+        const fallback = plugin.settings.enableColorHighlighting ? plugin.settings.highlightColor : "";
+        const payload = color || fallback || "";
+        let created = [];
+        await plugin.recordHistory(target, "Highlight", async () => {
+            const written = await plugin.applyMarkdownModification(target, "", range.start, range.end,
+                payload ? "color" : "highlight", payload, tags.join(" "));
+            let raw = await this.app.vault.read(target);
+            created = plugin.indexHighlights(target, raw).filter((h) => h.start >= written.start && h.end <= written.end);
+            if (note.trim() && created.length) {
+                raw = setHighlightNote(raw, created[created.length - 1], note);
+                await this.app.vault.modify(target, raw);
+                created = plugin.indexHighlights(target, raw, Date.now()).filter((h) => created.some((c) => c.id === h.id));
+            }
+        });
+        return created;
+    }
+
+    /**
+     * Remove a highlight, keeping its text.
+     * @param {string|object} highlight - Id, or a highlight from `listHighlights`
+     * @returns {Promise<boolean>} Whether it was found
+     */
+    async remove(file, highlight) {
+        const target = this.resolveFile(file);
+        let found = false;
+        await this.plugin.recordHistory(target, "Remove highlight", async () => {
+            const h = await this.findCurrent(target, highlight);
+            if (!h) return;
+            found = (await this.plugin.eraseHighlightRange(target, h.start, h.end)) > 0;
+        });
+        return found;
+    }
+
+    /**
+     * Add, replace or (with an empty text) delete a highlight's annotation.
+     * @returns {Promise<boolean>} Whether the highlight was found
+     */
+    async annotate(file, highlight, text) {
+        const target = this.resolveFile(file);
+        const h = await this.findCurrent(target, highlight);
+        if (!h) return false;
+        return this.plugin.editHighlight(target, h, text.trim() ? "Annotation" : "Delete annotation",
+            (raw, current) => setHighlightNote(raw, current, text));
+    }
+
+    /**
+     * Highlights of a note, in document order.
+     * @returns {Promise<Array>}
+     */
+    async listHighlights(file) {
+        const target = this.resolveFile(file);
+        const raw = await this.app.vault.read(target);
+        return this.plugin.indexHighlights(target, raw);
+    }
+
+    /**
+     * Highlights across the vault matching a query in the Research view's
+     * syntax (e.g. `tag:book color:Disagree`) or a predicate function.
+     * @param {string|function} filter
+     * @returns {Array} Highlights with `path` and the note's `frontmatter`
+     * @throws {QueryParseError} When the query string is invalid
+     */
+    query(filter = "") {
+        const ast = typeof filter === "string" ? parseQuery(filter) : null;
+        const context = { palette: this.plugin.getAllPaletteColors() };
+        const results = [];
+        for (const { file, highlights, frontmatter } of this.plugin.vaultScanner.getResults()) {
+            for (const h of highlights) {
+                const item = { ...h, path: file.path, file, frontmatter };
+                const matches = typeof filter === "function" ? filter(item) : matchesQuery(ast, item, context);
+                if (matches) results.push(item);
+            }
+        }
+        return results;
+    }
+
+    resolveFile(file) {
+        const target = typeof file === "string" ? this.app.vault.getAbstractFileByPath(file) : file;
+        if (!target || target.extension !== "md") {
+            throw new Error(`Reader Highlighter: not a markdown note: ${typeof file === "string" ? file : file?.path}`);
+        }
+        return target;
+    }
+
+    checkRange(range) {
+        if (!range || !Number.isInteger(range.start) || !Number.isInteger(range.end) || range.start >= range.end) {
+            throw new Error("Reader Highlighter: range must be { start, end } with start < end");
+        }
+    }
+
+    async findCurrent(file, highlight) {
+        const raw = await this.app.vault.read(file);
+        const target = typeof highlight === "string" ? { id: highlight } : highlight;
+        return findHighlight(this.plugin.indexHighlights(file, raw), target);
+    }
+}
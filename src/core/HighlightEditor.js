@@ -0,0 +1,503 @@
+/**
+ * Pure text transformations for editing existing highlights and their
+ * annotations. Each function takes the full note content and returns the new
+ * content, so callers can wrap them in a single undoable write. Highlights are
+ * the objects returned by `parseHighlights`.
+ */
+
+import { parseHighlights } from "./HighlightParser";
+import { classNameOf, successorOf } from "./PaletteClasses";
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Format an annotation as a footnote definition. Extra lines are indented so
+ * Markdown keeps them inside the footnote.
+ */
+export function formatFootnote(id, text) {
+    const [first, ...rest] = text.trim().split(/\r?\n/).filter((line) => line.trim());
+    return [`[^${id}]: ${first}`, ...rest.map((line) => `    ${line.trim()}`)].join("\n");
+}
+
+/**
+ * Line range [start, end) of the definition of footnote `id`, including its
+ * indented continuation lines, or null.
+ */
+function findFootnoteDefinition(raw, id) {
+    const match = new RegExp(`^\\[\\^${escapeRegExp(id)}\\]:.*$`, "m").exec(raw);
+    if (!match) return null;
+    let end = match.index + match[0].length;
+    let next;
+    while ((next = /^\n(?: {4}|\t).*/.exec(raw.substring(end))) !== null) {
+        end += next[0].length;
+    }
+    return { start: match.index, end };
+}
+
+/**
+ * Next unused numeric footnote id.
+ */
+export function nextFootnoteId(raw) {
+    let max = 0;
+    const pattern = /\[\^(\d+)\]/g;
+    let match;
+    while ((match = pattern.exec(raw)) !== null) {
+        max = Math.max(max, parseInt(match[1], 10));
+    }
+    return String(max + 1);
+}
+
+/**
+ * Attach a new annotation at `offset` (usually the end of a highlight): a
+ * footnote reference there and its definition at the end of the note.
+ */
+export function insertFootnote(raw, offset, text, id = nextFootnoteId(raw)) {
+    const content = raw.substring(0, offset) + `[^${id}]` + raw.substring(offset);
+    return content.trimEnd() + "\n\n" + formatFootnote(id, text) + "\n";
+}
+
+/**
+ * Replace the text of footnote `id`. Returns null if it is not defined.
+ */
+export function updateFootnote(raw, id, text) {
+    const range = findFootnoteDefinition(raw, id);
+    if (!range) return null;
+    return raw.substring(0, range.start) + formatFootnote(id, text) + raw.substring(range.end);
+}
+
+/**
+ * Remove footnote `id`: every reference to it and its definition.
+ * Returns null if it is not defined.
+ */
+export function removeFootnote(raw, id) {
+    const range = findFootnoteDefinition(raw, id);
+    if (!range) return null;
+    let before = raw.substring(0, range.start);
+    let after = raw.substring(range.end).replace(/^\n/, "");
+    // Don't leave a gap where the definition was
+    if (!after.trim()) {
+        before = before.trimEnd() + "\n";
+        after = "";
+    } else if (/\n\n$/.test(before)) {
+        after = after.replace(/^\n+/, "");
+    }
+    return (before + after).replace(new RegExp(`\\[\\^${escapeRegExp(id)}\\](?!:)`, "g"), "");
+}
+
+/**
+ * How a palette entry marks text. "background" is the classic fill; the
+ * others are written as `data-hl-style` and drawn by the plugin's CSS from
+ * the `--hl-color` variable.
+ */
+export const HIGHLIGHT_STYLES = ["background", "underline", "wavy", "strikethrough", "box", "text"];
+
+/**
+ * Markup for a highlight: `<mark>` with an inline background when a color is
+ * given, `==` otherwise.
+ * @param {string} content
+ * @param {string|null} color
+ * @param {object} options
+ * @param {string|null} options.id - Written as `data-hl-id` on `<mark>` highlights
+ * @param {string|null} options.style - One of `HIGHLIGHT_STYLES`; null means background
+ * @param {string|null} options.className - Palette class; replaces the inline color and style
+ */
+export function formatHighlight(content, color, { id = null, style = null, className = null } = {}) {
+    if (!color) return `==${content}==`;
+    const idAttr = id ? ` data-hl-id="${id}"` : "";
+    if (className) return `<mark${idAttr} class="${className}">${content}</mark>`;
+    if (style && style !== "background") {
+        return `<mark${idAttr} data-hl-style="${style}" style="--hl-color: ${color};">${content}</mark>`;
+    }
+    return `<mark${idAttr} style="background: ${color}; color: black;">${content}</mark>`;
+}
+
+/**
+ * Rewrite the markup of highlight `h` (from `parseHighlights`) with a new
+ * color and style, keeping its content, tags and annotation. A null color
+ * converts it to `==`; a color converts `==` to `<mark>`.
+ * @param {object} options - As for `formatHighlight`; id and style default to the highlight's
+ */
+export function recolorHighlight(raw, h, color, { id = h.id, style = h.style, className = null } = {}) {
+    const content = raw.substring(h.contentStart, h.contentEnd);
+    return raw.substring(0, h.start) + formatHighlight(content, color, { id, style, className }) + raw.substring(h.end);
+}
+
+/**
+ * Replace the `#tag` prefix of highlight `h`.
+ * @param {string[]} tags - Without `#`; empty removes the prefix
+ */
+export function setHighlightTags(raw, h, tags) {
+    const prefix = tags.length ? tags.map((tag) => `#${tag.replace(/^#/, "")}`).join(" ") + " " : "";
+    return raw.substring(0, h.prefixStart) + prefix + raw.substring(h.start);
+}
+
+/**
+ * Add, change or (with an empty text) remove the annotation of highlight `h`.
+ */
+export function setHighlightNote(raw, h, text) {
+    if (h.footnote) {
+        return text.trim() ? updateFootnote(raw, h.footnote, text) : removeFootnote(raw, h.footnote);
+    }
+    return text.trim() ? insertFootnote(raw, h.contentEnd, text) : raw;
+}
+
+/**
+ * Short random id for a block reference, without the `^`.
+ */
+export function createBlockId() {
+    return Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Block id of the block holding highlight `h`, adding `id` at the end of the
+ * block when it has none, e.g. so another note can link to the highlight.
+ * @returns {{content: string, blockId: string}}
+ */
+export function ensureBlockId(raw, h, id = createBlockId()) {
+    if (h.blockId) return { content: raw, blockId: h.blockId };
+    const lines = raw.split("\n");
+    if (h.blockIsTable) {
+        // An id at the end of a row would be read as a cell; a table's goes below it
+        const cr = raw.includes("\r\n") ? "\r" : "";
+        const next = lines[h.blockLine + 1];
+        if (next === undefined) {
+            lines[h.blockLine] = lines[h.blockLine].replace(/\r?$/, cr);
+            lines.push(`^${id}`);
+        } else {
+            lines.splice(h.blockLine + 1, 0, `^${id}${cr}`, ...(next.trim() ? [cr] : []));
+        }
+        return { content: lines.join("\n"), blockId: id };
+    }
+    const line = lines[h.blockLine];
+    const cr = line.endsWith("\r") ? "\r" : "";
+    lines[h.blockLine] = `${line.replace(/\s+$/, "")} ^${id}${cr}`;
+    return { content: lines.join("\n"), blockId: id };
+}
+
+/**
+ * Find the highlight that corresponds to `target` in freshly parsed
+ * `highlights`: same id, else the same text closest to its old offset.
+ */
+export function findHighlight(highlights, target) {
+    if (target.id) {
+        const byId = highlights.find((h) => h.id === target.id);
+        if (byId) return byId;
+    }
+    let best = null;
+    for (const h of highlights) {
+        if (h.text !== target.text) continue;
+        if (!best || Math.abs(h.start - target.start) < Math.abs(best.start - target.start)) best = h;
+    }
+    return best;
+}
+
+const FOOTNOTE_REF = /\[\^[^\]]+\]/g;
+
+/**
+ * Wrap a piece of a highlight in the given markup, keeping surrounding
+ * whitespace outside of it.
+ */
+function wrapPiece(text, open, close, tags = "") {
+    const lead = text.match(/^\s*/)[0];
+    const trail = text.substring(lead.length).match(/\s*$/)[0];
+    const body = text.substring(lead.length, text.length - trail.length);
+    return lead + tags + open + body + close + trail;
+}
+
+function hasText(piece) {
+    return piece.replace(FOOTNOTE_REF, "").trim() !== "";
+}
+
+/**
+ * Remove highlighting from exactly the range [start, end). The parts of each
+ * highlight outside the range stay highlighted with the same markup and tags;
+ * the annotation stays with the first remaining part.
+ * @param {string} raw
+ * @param {number} start
+ * @param {number} end
+ * @param {Array} highlights - `parseHighlights(raw)`, if already available
+ * @returns {{content: string, count: number}} New content and the number of highlights touched
+ */
+export function eraseRange(raw, start, end, highlights = parseHighlights(raw)) {
+    const affected = highlights.filter((h) => h.contentStart < end && start < h.contentEnd);
+    let content = raw;
+
+    // Last first, so earlier offsets stay valid
+    for (const h of affected.slice().reverse()) {
+        const from = Math.max(start, h.contentStart) - h.contentStart;
+        const to = Math.min(end, h.contentEnd) - h.contentStart;
+        const inner = raw.substring(h.contentStart, h.contentEnd);
+        const open = raw.substring(h.start, h.contentStart);
+        const close = raw.substring(h.contentEnd, h.end);
+        const tags = raw.substring(h.prefixStart, h.start);
+
+        let before = inner.substring(0, from);
+        const erased = inner.substring(from, to);
+        let after = inner.substring(to);
+        const keepBefore = hasText(before);
+        const keepAfter = hasText(after);
+
+        let replacement;
+        if (keepBefore) {
+            if (!keepAfter) {
+                // A trailing annotation belongs to the part that stays highlighted
+                const refs = after.match(FOOTNOTE_REF) || [];
+                before = before.replace(/\s*$/, (trail) => refs.join("") + trail);
+                after = after.replace(FOOTNOTE_REF, "");
+            }
+            // Only the first part keeps an explicit id
+            const afterOpen = open.replace(/\sdata-hl-id="[^"]*"/, "");
+            replacement = tags + wrapPiece(before, open, close) + erased +
+                (keepAfter ? wrapPiece(after, afterOpen, close, tags) : after);
+        } else if (keepAfter) {
+            replacement = before + erased + wrapPiece(after, open, close, tags);
+        } else {
+            replacement = tags + inner;
+        }
+        content = content.substring(0, h.prefixStart) + replacement + content.substring(h.end);
+    }
+
+    return { content, count: affected.length };
+}
+
+// Same color and style, so the two can be one highlight
+function sameLook(h, color, style) {
+    return (h.color || "").toLowerCase() === (color || "").toLowerCase() &&
+        (h.style || "background") === (style || "background");
+}
+
+// Only spaces and tabs (and at most one line break, within a paragraph) between two spans
+const ADJACENT_GAP = /^[ \t]*(?:\r?\n[ \t]*)?$/;
+
+// Private-use markers that keep track of the range while the text around it is rewritten
+const RANGE_START = "\uE000";
+const RANGE_END = "\uE001";
+
+/**
+ * Make room for a new highlight of `color` and `style` over [start, end), so
+ * that no highlight ends up nested or unbalanced:
+ * - highlights of the same color and style that overlap or touch the range are merged
+ *   into it: their markup is removed and the range grows to cover them, and
+ *   their tags are returned so the caller can write them on the new highlight;
+ * - other highlights lose the overlapped part and stay highlighted
+ *   around it; those entirely inside the range are replaced, and their tags
+ *   are returned as well.
+ * `classes` (see `buildClassMap`) gives class-based highlights their color.
+ * @returns {{content: string, start: number, end: number, tags: string[]}}
+ */
+export function resolveOverlaps(raw, start, end, color, style = null, classes = null) {
+    const highlights = parseHighlights(raw, { classes });
+    let from = start;
+    let to = end;
+    let grown = true;
+    while (grown) {
+        grown = false;
+        for (const h of highlights) {
+            if (!sameLook(h, color, style)) continue;
+            const touches = (h.contentStart <= to && from <= h.contentEnd) ||
+                (h.end <= from && ADJACENT_GAP.test(raw.substring(h.end, from))) ||
+                (to <= h.prefixStart && ADJACENT_GAP.test(raw.substring(to, h.prefixStart)));
+            if (!touches || (h.contentStart >= from && h.contentEnd <= to)) continue;
+            from = Math.min(from, h.contentStart);
+            to = Math.max(to, h.contentEnd);
+            grown = true;
+        }
+    }
+
+    let content = raw.substring(0, from) + RANGE_START + raw.substring(from, to) + RANGE_END + raw.substring(to);
+    const markers = () => [content.indexOf(RANGE_START), content.indexOf(RANGE_END) + 1];
+
+    // Tags of merged highlights, and of any highlight inside the range, move to the new one
+    const tags = [];
+    let [s, e] = markers();
+    const covered = parseHighlights(content, { classes }).filter((h) => h.contentStart < e && s < h.contentEnd &&
+        (sameLook(h, color, style) || (h.contentStart >= s && h.contentEnd <= e)));
+    for (const h of covered.slice().reverse()) {
+        h.tags.forEach((tag) => { if (!tags.includes(tag)) tags.unshift(tag); });
+        content = content.substring(0, h.prefixStart) + content.substring(h.start);
+    }
+
+    [s, e] = markers();
+    content = eraseRange(content, s, e).content;
+    [s, e] = markers();
+    content = content.substring(0, s) + content.substring(s + 1, e - 1) + content.substring(e);
+    return { content, start: s, end: e - 2, tags };
+}
+
+/**
+ * Join highlights of the same color and style that directly follow each other (only
+ * whitespace between them) into one. The first keeps its markup and tags; a
+ * highlight with an annotation is never merged into the next, so the
+ * footnote stays at the end. `classes` (see `buildClassMap`) gives
+ * class-based highlights their color.
+ * @returns {{content: string, count: number}} New content and the number of highlights merged away
+ */
+export function mergeAdjacentHighlights(raw, classes = null) {
+    const highlights = parseHighlights(raw, { classes });
+    const groups = [];
+    for (const h of highlights) {
+        const group = groups[groups.length - 1];
+        const last = group?.[group.length - 1];
+        const joins = last && !last.footnote && sameLook(last, h.color, h.style) &&
+            h.tags.every((tag) => group[0].tags.includes(tag)) &&
+            ADJACENT_GAP.test(raw.substring(last.end, h.prefixStart));
+        if (joins) group.push(h);
+        else groups.push([h]);
+    }
+
+    let content = raw;
+    let count = 0;
+    for (const group of groups.slice().reverse()) {
+        if (group.length < 2) continue;
+        const first = group[0];
+        const last = group[group.length - 1];
+        const inner = group.map((h, i) => {
+            const gap = i === 0 ? "" : raw.substring(group[i - 1].end, h.prefixStart);
+            return gap + raw.substring(h.contentStart, h.contentEnd);
+        }).join("");
+        const merged = raw.substring(first.start, first.contentStart) + inner + raw.substring(first.contentEnd, first.end);
+        content = content.substring(0, first.start) + merged + content.substring(last.end);
+        count += group.length - 1;
+    }
+    return { content, count };
+}
+
+/**
+ * Rewrite colored `<mark>` highlights to match the palette, as class markup
+ * (`<mark class="rh-…">`) or as inline styles. Each highlight is matched to a
+ * palette entry by its class or color, including the class and color the
+ * entry had in `previous` (the palette at the last migration), so edited
+ * colors and renamed meanings carry over. Highlights whose color is not in
+ * the palette are left alone.
+ * @param {string} raw
+ * @param {Array<{color: string, meaning: string, style?: string, className?: string}>} palette
+ *        - Classes come from `className` (see `classedPaletteColors`), else the meaning
+ * @param {{previous?: Array, useClasses?: boolean, preferredIds?: string[]}} options
+ *        - `preferredIds` are the ids of the note's own palette colors, which
+ *        win when palettes share a color
+ * @returns {{content: string, count: number}} New content and the number of highlights rewritten
+ */
+export function migrateColorMarkup(raw, palette, { previous = [], useClasses = false, preferredIds = [] } = {}) {
+    const byClass = new Map();
+    const byColor = new Map();
+    previous.forEach((entry, i) => {
+        const current = successorOf(entry, i, palette);
+        if (!current) return;
+        byClass.set(classNameOf(entry, i), palette.indexOf(current));
+        byColor.set((entry.color || "").toLowerCase(), palette.indexOf(current));
+    });
+    // Of the palettes sharing a color, the note's own wins, else the first
+    const claimed = new Set();
+    palette.forEach((entry, i) => {
+        byClass.set(classNameOf(entry, i), i);
+        const key = (entry.color || "").toLowerCase();
+        if (claimed.has(key) && !preferredIds.includes(entry.id)) return;
+        byColor.set(key, i);
+        claimed.add(key);
+    });
+
+    let content = raw;
+    let count = 0;
+    for (const h of parseHighlights(raw).reverse()) {
+        if (h.type !== "html") continue;
+        const index = h.colorClass ? byClass.get(h.colorClass) : byColor.get((h.color || "").toLowerCase());
+        if (index === undefined) continue;
+        const entry = palette[index];
+        const markup = formatHighlight("", entry.color, {
+            id: h.id,
+            style: entry.style,
+            className: useClasses ? classNameOf(entry, index) : null,
+        });
+        const open = markup.slice(0, -"</mark>".length);
+        if (open === raw.substring(h.start, h.contentStart)) continue;
+        content = content.substring(0, h.start) + open + content.substring(h.contentStart);
+        count++;
+    }
+    return { content, count };
+}
+
+/**
+ * Convert highlights between the two syntaxes. Parsing skips code, math,
+ * comments and frontmatter, so only real highlights are rewritten.
+ * - "markdown": every `<mark>` becomes `==`, dropping its color and id
+ * - "html": every `==` becomes `<mark>` with `color`
+ * @param {string} raw
+ * @param {"markdown"|"html"} to
+ * @param {string|null} color - Required when converting to `<mark>`
+ * @param {object} markup - Passed to `formatHighlight` (style, className)
+ * @returns {{content: string, count: number}} New content and the number of highlights converted
+ */
+export function convertHighlightSyntax(raw, to, color = null, markup = {}) {
+    const from = to === "html" ? "markdown" : "html";
+    let content = raw;
+    let count = 0;
+    for (const h of parseHighlights(raw).reverse()) {
+        if (h.type !== from) continue;
+        const inner = raw.substring(h.contentStart, h.contentEnd);
+        const open = to === "html" ? formatHighlight("", color, markup).slice(0, -"</mark>".length) : "==";
+        const close = to === "html" ? "</mark>" : "==";
+        content = content.substring(0, h.start) + wrapPiece(inner, open, close) + content.substring(h.end);
+        count++;
+    }
+    return { content, count };
+}
+
+// Markdown markers of the inline formats the toolbar can toggle
+export const INLINE_FORMATS = {
+    bold: "**",
+    italic: "*",
+    strikethrough: "~~",
+    code: "`",
+};
+
+/**
+ * Wrap `text` in an inline format, or unwrap it when it is already wrapped
+ * (so applying a format twice removes it). Text is taken literally: when
+ * wrapping, inner markers of the same format are dropped, and code spans get
+ * a fence longer than any backtick run inside.
+ * @param {string} text
+ * @param {"bold"|"italic"|"strikethrough"|"code"} format
+ */
+export function toggleInlineFormat(text, format) {
+    if (format === "code") {
+        const fenced = /^(`+)(.+)\1$/s.exec(text);
+        if (fenced) {
+            const inner = fenced[2];
+            return /^ .* $/s.test(inner) && inner.trim() ? inner.slice(1, -1) : inner;
+        }
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+        const fence = "`".repeat(longest + 1);
+        const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+        return `${fence}${pad}${text}${pad}${fence}`;
+    }
+
+    if (format === "bold" || format === "italic") {
+        const stars = Math.min(/^\**/.exec(text)[0].length, /\**$/.exec(text)[0].length);
+        const inner = text.length > stars * 2;
+        if (format === "bold" && stars >= 2 && inner) return text.slice(2, -2);
+        if (format === "italic" && stars % 2 === 1 && inner) return text.slice(1, -1);
+        if (format === "italic" && /^_.+_$/s.test(text)) return text.slice(1, -1);
+        const stripped = format === "bold" ? text.split("**").join("") : text.replace(/(?<!\*)\*(?!\*)/g, "");
+        return `${INLINE_FORMATS[format]}${stripped}${INLINE_FORMATS[format]}`;
+    }
+
+    const marker = INLINE_FORMATS[format];
+    if (text.length > marker.length * 2 && text.startsWith(marker) && text.endsWith(marker)) {
+        return text.slice(marker.length, -marker.length);
+    }
+    return `${marker}${text.split(marker).join("")}${marker}`;
+}
+
+/**
+ * Turn `text` into a wikilink to `linktext`, showing `text` unless it is the
+ * link target itself. A wikilink already around the text is replaced. In
+ * table cells the `|` is escaped so it does not split the cell.
+ */
+export function formatWikilink(text, linktext, inTable = false) {
+    const existing = /^\[\[([^\]|]+)(?:\\?\|([^\]]*))?\]\]$/.exec(text);
+    const display = existing ? existing[2] ?? existing[1] : text;
+    if (display === linktext) return `[[${linktext}]]`;
+    return `[[${linktext}${inTable ? "\\|" : "|"}${display.replace(/\[\[|\]\]/g, "")}]]`;
+}
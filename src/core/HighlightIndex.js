@@ -0,0 +1,197 @@
+/**
+ * Creates a short random highlight id, e.g. "hl-k3j9x0qa".
+ */
+export function createHighlightId() {
+    return "hl-" + Math.random().toString(36).substring(2, 10);
+}
+
+/**
+ * Plugin-level index of highlights with durable ids.
+ *
+ * Highlights written with a `data-hl-id` attribute keep that id. All other
+ * highlights are matched to the previous state of their file by text and
+ * color, preferring the closest offset, so their ids survive edits around them.
+ * A highlight whose color changed keeps its id if its text is unchanged.
+ *
+ * Record shape: { id, path, start, end, text, color, tags, note, created, updated }
+ */
+export class HighlightIndex {
+    /**
+     * @param {function} onChange - Called whenever a sync changed the index, e.g. to persist it
+     */
+    constructor(onChange = () => {}) {
+        this.records = new Map(); // id -> record
+        this.byPath = new Map(); // path -> id[] in document order
+        this.onChange = onChange;
+        this.syncListeners = new Set();
+    }
+
+    /**
+     * Subscribe to highlights being added, removed or changed. The listener
+     * receives the path and copies of the `added`, `removed` and `changed`
+     * records.
+     * @returns {function} Unsubscribe
+     */
+    onSync(listener) {
+        this.syncListeners.add(listener);
+        return () => this.syncListeners.delete(listener);
+    }
+
+    notifySync(path, { added = [], removed = [], changed = [] }) {
+        if (!added.length && !removed.length && !changed.length) return;
+        const copy = (records) => records.map((record) => ({ ...record, tags: [...(record.tags || [])] }));
+        const diff = { added: copy(added), removed: copy(removed), changed: copy(changed) };
+        this.syncListeners.forEach((listener) => listener(path, diff));
+    }
+
+    /**
+     * Reconcile the parsed highlights of a file with the index.
+     * @param {string} path
+     * @param {Array} highlights - Output of `getHighlightsFromContent`
+     * @param {number} now - Timestamp used for new and changed records. Pass the
+     *        file's mtime when indexing content the plugin did not just write.
+     * @param {boolean} notify - Whether `onSync` listeners hear about the
+     *        changes; off while the vault is first indexed, when every
+     *        existing highlight would look new
+     * @returns {{highlights: Array, added: object[], removed: object[], changed: object[]}}
+     *          `highlights` are the input highlights with their `id`, `created`
+     *          and `updated` filled in.
+     */
+    syncFile(path, highlights, now = Date.now(), notify = true) {
+        const previous = (this.byPath.get(path) || []).map((id) => this.records.get(id)).filter(Boolean);
+        const unmatched = new Set(previous);
+        const claimed = new Set();
+        const assignments = new Array(highlights.length).fill(null);
+
+        // 1. Explicit ids from the markup
+        highlights.forEach((h, i) => {
+            if (!h.id || claimed.has(h.id)) return;
+            const record = this.records.get(h.id);
+            // An id copied into another note stays with the original highlight
+            if (record && record.path !== path) return;
+            assignments[i] = record || { id: h.id };
+            claimed.add(h.id);
+            if (record) unmatched.delete(record);
+        });
+
+        // 2. Same text and color, closest offset wins
+        // 3. Same text only (recolored or converted), closest offset wins
+        const matchBy = (sameColor) => highlights.forEach((h, i) => {
+            if (assignments[i]) return;
+            let best = null;
+            for (const record of unmatched) {
+                if (record.text !== h.text) continue;
+                if (sameColor && (record.color || null) !== (h.color || null)) continue;
+                if (!best || Math.abs(record.start - h.start) < Math.abs(best.start - h.start)) {
+                    best = record;
+                }
+            }
+            if (best) {
+                assignments[i] = best;
+                unmatched.delete(best);
+            }
+        });
+        matchBy(true);
+        matchBy(false);
+
+        const added = [];
+        const changed = [];
+        const ids = [];
+        let moved = false;
+        const result = highlights.map((h, i) => {
+            let record = assignments[i];
+            if (!record || !record.path) {
+                let id = record?.id || createHighlightId();
+                while (!record && this.records.has(id)) id = createHighlightId();
+                record = { id, created: now, updated: now };
+                added.push(record);
+            } else if (
+                record.text !== h.text ||
+                (record.color || null) !== (h.color || null) ||
+                (record.tags || []).join(" ") !== (h.tags || []).join(" ") ||
+                (record.note || "") !== (h.note || "")
+            ) {
+                record.updated = now;
+                changed.push(record);
+            } else if (record.start !== h.start || record.end !== h.end) {
+                moved = true;
+            }
+            Object.assign(record, {
+                path,
+                start: h.start,
+                end: h.end,
+                text: h.text,
+                color: h.color || null,
+                tags: h.tags || [],
+                note: h.note || "",
+            });
+            this.records.set(record.id, record);
+            ids.push(record.id);
+            return { ...h, id: record.id, created: record.created, updated: record.updated };
+        });
+
+        const removed = Array.from(unmatched);
+        removed.forEach((record) => this.records.delete(record.id));
+        ids.sort((a, b) => this.records.get(a).start - this.records.get(b).start);
+        if (ids.length > 0) this.byPath.set(path, ids);
+        else this.byPath.delete(path);
+
+        if (moved || added.length || removed.length || changed.length) {
+            this.onChange();
+        }
+        if (notify) this.notifySync(path, { added, removed, changed });
+        return { highlights: result, added, removed, changed };
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    /** Records of a file in document order. */
+    getFile(path) {
+        return (this.byPath.get(path) || []).map((id) => this.records.get(id));
+    }
+
+    getAll() {
+        return Array.from(this.records.values());
+    }
+
+    rename(oldPath, newPath) {
+        const ids = this.byPath.get(oldPath);
+        if (!ids) return;
+        this.byPath.delete(oldPath);
+        this.byPath.set(newPath, ids);
+        ids.forEach((id) => {
+            this.records.get(id).path = newPath;
+        });
+        this.onChange();
+    }
+
+    removeFile(path) {
+        if (!this.byPath.has(path)) return;
+        const removed = this.getFile(path);
+        removed.forEach((record) => this.records.delete(record.id));
+        this.byPath.delete(path);
+        this.onChange();
+        this.notifySync(path, { removed });
+    }
+
+    toJSON() {
+        return { version: 1, records: this.getAll() };
+    }
+
+    load(data) {
+        this.records.clear();
+        this.byPath.clear();
+        if (!data || !Array.isArray(data.records)) return;
+        for (const record of data.records) {
+            if (!record?.id || !record.path) continue;
+            this.records.set(record.id, record);
+            if (!this.byPath.has(record.path)) this.byPath.set(record.path, []);
+            this.byPath.get(record.path).push(record.id);
+        }
+        for (const ids of this.byPath.values()) {
+            ids.sort((a, b) => this.records.get(a).start - this.records.get(b).start);
+        }
+    }
+}
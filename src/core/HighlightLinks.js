@@ -0,0 +1,78 @@
+/**
+ * Links to a single highlight from outside Obsidian:
+ * `obsidian://reader-highlighter?vault=...&file=...&id=...`.
+ *
+ * A link names the highlight in several ways so it keeps working as the note
+ * changes: `id` (the plugin's highlight id), `block` (block id of its
+ * paragraph), `text` (a quote of its text) and `line` (1-based). Handwritten
+ * links may use any one of them.
+ */
+
+export const HIGHLIGHT_LINK_ACTION = "reader-highlighter";
+
+// Longer quotes are cut; a link's quote matches highlights starting with it
+const QUOTE_LENGTH = 120;
+
+function normalize(text) {
+    return (text || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * URI of highlight `h` in the note at `path`.
+ */
+export function buildHighlightUri(vault, path, h) {
+    const params = new URLSearchParams({ vault, file: path });
+    if (h.id) params.set("id", h.id);
+    if (h.blockId) params.set("block", h.blockId);
+    const text = h.text.replace(/\s+/g, " ").trim();
+    params.set("text", text.length > QUOTE_LENGTH ? text.substring(0, QUOTE_LENGTH).trim() : text);
+    params.set("line", String(h.line + 1));
+    // Obsidian decodes %20 but not +
+    return `obsidian://${HIGHLIGHT_LINK_ACTION}?${params.toString().replace(/\+/g, "%20")}`;
+}
+
+/**
+ * The highlight a link points to: by id, else by block id, else by quote,
+ * else on the given line. Several matches are decided by the closest line.
+ * @param {Array} highlights - Parsed highlights of the note, with ids
+ * @param {string} raw - Note content, to find block ids outside highlights
+ * @param {{id?: string, block?: string, text?: string, line?: string|number}} params
+ * @returns {{highlight: object|null, line: number}|null} The highlight, or
+ *          just the 0-based line of a block or line without one; null if the
+ *          link matches nothing
+ */
+export function resolveHighlightLink(highlights, raw, params) {
+    const line = parseInt(params.line, 10) - 1;
+    const hasLine = Number.isInteger(line) && line >= 0;
+    const quote = normalize(params.text);
+    const closest = (candidates) => {
+        if (!hasLine) return candidates[0];
+        return candidates.reduce((best, h) => Math.abs(h.line - line) < Math.abs(best.line - line) ? h : best);
+    };
+    const found = (h) => ({ highlight: h, line: h.line });
+
+    if (params.id) {
+        const h = highlights.find((item) => item.id === params.id);
+        if (h) return found(h);
+    }
+
+    if (params.block) {
+        const inBlock = highlights.filter((h) => h.blockId === params.block);
+        const quoted = quote ? inBlock.filter((h) => normalize(h.text).startsWith(quote)) : [];
+        if (quoted.length || inBlock.length) return found(closest(quoted.length ? quoted : inBlock));
+        const blockLine = (raw || "").split("\n").findIndex((text) => text.trimEnd().endsWith(`^${params.block}`));
+        if (blockLine >= 0) return { highlight: null, line: blockLine };
+    }
+
+    if (quote) {
+        const quoted = highlights.filter((h) => normalize(h.text).startsWith(quote));
+        if (quoted.length) return found(closest(quoted));
+    }
+
+    if (hasLine) {
+        const onLine = highlights.find((h) => h.line <= line && line <= h.endLine);
+        if (onLine) return found(onLine);
+        if (line < (raw || "").split("\n").length) return { highlight: null, line };
+    }
+    return null;
+}
@@ -0,0 +1,339 @@
+/**
+ * Markdown-aware highlight extractor.
+ *
+ * Finds `==text==` and `<mark>text</mark>` highlights, including ones that
+ * span several lines of a paragraph, while skipping frontmatter, fenced code,
+ * inline code, math and comments. Each highlight carries the tags the plugin
+ * writes in front of it, the footnote annotation attached to it, the heading
+ * it sits under and the block id of its paragraph.
+ */
+
+import { CLASS_PREFIX, resolvePaletteClass } from "./PaletteClasses";
+
+const FENCE = /^[ \t]*(?:>[ \t]*)*(`{3,}|~{3,})/;
+const HEADING = /^[ \t]{0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const LIST_ITEM = /^[ \t]*(?:>[ \t]*)*(?:[-*+]|\d+[.)])[ \t]/;
+const TABLE_ROW = /^[ \t]*\|/;
+const BLOCK_ID = /\s\^([a-zA-Z0-9-]+)[ \t]*$/;
+const BLOCK_ID_LINE = /^[ \t]*\^([a-zA-Z0-9-]+)[ \t]*$/;
+const FOOTNOTE_DEF = /^\[\^([^\]]+)\]:[ \t]*(.*)$/;
+const TAG_PREFIX = /(?:^|[ \t])((?:#[^\s#=<>]+[ \t]+)+)$/;
+const MARK_OPEN = /^<mark(?:\s[^>]*)?>/i;
+const MARK_CLOSE = /^<\/mark>/i;
+
+function splitLines(raw) {
+    const lines = [];
+    let offset = 0;
+    for (const text of raw.split("\n")) {
+        lines.push({ text: text.replace(/\r$/, ""), start: offset });
+        offset += text.length + 1;
+    }
+    return lines;
+}
+
+/**
+ * Index of the first body line, skipping a leading YAML frontmatter block.
+ */
+function frontmatterEnd(lines) {
+    if (lines.length === 0 || lines[0].text !== "---") return 0;
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i].text === "---" || lines[i].text === "...") return i + 1;
+    }
+    return 0;
+}
+
+function isFenceClose(text, fence) {
+    const match = text.match(FENCE);
+    return !!match && match[1][0] === fence[0] && match[1].length >= fence.length && !text.slice(text.indexOf(match[1]) + match[1].length).trim();
+}
+
+/**
+ * Footnote definitions (`[^id]: text`) outside code, by id.
+ */
+function collectFootnotes(lines, firstLine) {
+    const footnotes = new Map();
+    let fence = null;
+    for (let i = firstLine; i < lines.length; i++) {
+        const text = lines[i].text;
+        if (fence) {
+            if (isFenceClose(text, fence)) fence = null;
+            continue;
+        }
+        const fenceMatch = text.match(FENCE);
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+        const match = text.match(FOOTNOTE_DEF);
+        if (match && !footnotes.has(match[1])) {
+            // Indented lines that follow continue the footnote
+            const line = i;
+            const body = [match[2].trim()];
+            while (i + 1 < lines.length && /^(?: {4}|\t)/.test(lines[i + 1].text)) {
+                body.push(lines[++i].text.trim());
+            }
+            footnotes.set(match[1], { id: match[1], text: body.join("\n"), line });
+        }
+    }
+    return footnotes;
+}
+
+/**
+ * Length of an inline construct that hides highlight markers (code span,
+ * math, escape) starting at `j`, or 0.
+ */
+function skipInline(text, j) {
+    const ch = text[j];
+    if (ch === "\\") return Math.min(2, text.length - j);
+    if (ch === "`") {
+        let n = 0;
+        while (text[j + n] === "`") n++;
+        const ticks = "`".repeat(n);
+        let k = text.indexOf(ticks, j + n);
+        while (k !== -1 && text[k + n] === "`") {
+            let m = k;
+            while (text[m] === "`") m++;
+            k = text.indexOf(ticks, m);
+        }
+        return k === -1 ? n : k + n - j;
+    }
+    if (ch === "$") {
+        if (text[j + 1] === "$") {
+            const k = text.indexOf("$$", j + 2);
+            return k === -1 ? 2 : k + 2 - j;
+        }
+        if (!text[j + 1] || /\s/.test(text[j + 1])) return 0;
+        for (let k = j + 1; k < text.length; k++) {
+            if (text[k] === "\\") {
+                k++;
+                continue;
+            }
+            if (text[k] === "$") {
+                if (/\s/.test(text[k - 1]) || /\d/.test(text[k + 1] || "")) return 0;
+                return k + 1 - j;
+            }
+        }
+    }
+    return 0;
+}
+
+/**
+ * Where a block id for the block ending the highlight lives or would go. A
+ * table's id sits on its own line below it, so for tables `blockLine` is the
+ * last row and `blockIsTable` is set.
+ * @returns {{blockId: string|null, blockLine: number, blockIsTable: boolean}}
+ */
+function findBlock(lines, line) {
+    const text = lines[line].text;
+    if (TABLE_ROW.test(text)) {
+        let last = line;
+        while (last + 1 < lines.length && TABLE_ROW.test(lines[last + 1].text)) last++;
+        const match = last + 1 < lines.length ? lines[last + 1].text.match(BLOCK_ID_LINE) : null;
+        return { blockId: match ? match[1] : null, blockLine: last, blockIsTable: true };
+    }
+    const own = text.match(BLOCK_ID);
+    if (own) return { blockId: own[1], blockLine: line, blockIsTable: false };
+    if (LIST_ITEM.test(text) || HEADING.test(text)) {
+        return { blockId: null, blockLine: line, blockIsTable: false };
+    }
+    let last = line;
+    while (last + 1 < lines.length) {
+        const next = lines[last + 1].text;
+        if (!next.trim() || LIST_ITEM.test(next) || HEADING.test(next) || FENCE.test(next)) break;
+        last++;
+    }
+    const match = lines[last].text.match(BLOCK_ID);
+    return { blockId: match ? match[1] : null, blockLine: last, blockIsTable: false };
+}
+
+function cleanHeading(text) {
+    return text
+        .replace(/<\/?mark[^>]*>/gi, "")
+        .replace(/==/g, "")
+        .replace(BLOCK_ID, "")
+        .trim();
+}
+
+/**
+ * Extract every highlight from a note.
+ * @param {string} raw - Full note content
+ * @param {{classes?: Map}} options - `classes` resolves class-based colors
+ * @returns {Array<object>} In document order:
+ *   { text, type, color, style, colorClass, id, start, end, contentStart,
+ *     contentEnd, prefixStart, line, endLine, tags, footnote, note, heading,
+ *     blockId, blockLine, blockIsTable }
+ *   `style` is the `data-hl-style` of a styled `<mark>` (null for a background),
+ *   `colorClass` the palette class of a class-based `<mark>`, whose color and
+ *   style come from `options.classes` (see `buildClassMap`),
+ *   `start`/`end` cover the markup, `prefixStart` also covers the tag prefix,
+ *   and `footnote`/`note` are the attached footnote's id and text.
+ */
+export function parseHighlights(raw, { classes = null } = {}) {
+    const source = raw || "";
+    const lines = splitLines(source);
+    const firstLine = frontmatterEnd(lines);
+    const footnotes = collectFootnotes(lines, firstLine);
+    const highlights = [];
+
+    let fence = null;
+    let mathBlock = false;
+    let commentEnd = null; // "%%" or "-->" while inside a multi-line comment
+    let heading = null;
+    let open = null;
+
+    const close = (lineIndex, contentEnd, end) => {
+        let content = source.substring(open.contentStart, contentEnd);
+        let footnote = null;
+        const inner = content.match(/\[\^([^\]]+)\]\s*$/);
+        const after = source.substring(end).match(/^\[\^([^\]]+)\](?!:)/);
+        if (inner) footnote = inner[1];
+        else if (after) footnote = after[1];
+        content = content.replace(/\[\^[^\]]+\]/g, "");
+
+        const text = content.replace(/[ \t]*\r?\n[ \t]*(?:>[ \t]*)*/g, " ").trim();
+        if (text) {
+            const definition = footnote ? footnotes.get(footnote) : null;
+            highlights.push({
+                text,
+                type: open.type,
+                color: open.color,
+                style: open.style,
+                colorClass: open.colorClass,
+                id: open.id,
+                start: open.start,
+                end,
+                contentStart: open.contentStart,
+                contentEnd,
+                prefixStart: open.prefixStart,
+                line: open.line,
+                endLine: lineIndex,
+                tags: open.tags,
+                footnote: definition ? footnote : null,
+                note: definition ? definition.text : "",
+                heading: open.heading,
+                ...findBlock(lines, lineIndex),
+            });
+        }
+        open = null;
+    };
+
+    const openAt = (type, lineIndex, lineStart, text, j, length, attrs = {}) => {
+        const start = lineStart + j;
+        const prefix = text.substring(0, j).match(TAG_PREFIX);
+        open = {
+            type,
+            start,
+            contentStart: start + length,
+            prefixStart: prefix ? start - prefix[1].length : start,
+            tags: prefix ? prefix[1].trim().split(/\s+/).map((tag) => tag.substring(1)) : [],
+            line: lineIndex,
+            heading,
+            color: attrs.color || null,
+            style: attrs.style || null,
+            colorClass: attrs.colorClass || null,
+            id: attrs.id || null,
+        };
+    };
+
+    for (let i = firstLine; i < lines.length; i++) {
+        const { text, start: lineStart } = lines[i];
+
+        if (fence) {
+            if (isFenceClose(text, fence)) fence = null;
+            continue;
+        }
+        if (mathBlock) {
+            if (text.trim().endsWith("$$")) mathBlock = false;
+            continue;
+        }
+        if (!text.trim()) {
+            // Highlights never cross paragraphs
+            open = null;
+            continue;
+        }
+        if (!open && !commentEnd) {
+            const fenceMatch = text.match(FENCE);
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+                continue;
+            }
+            const trimmed = text.trim();
+            if (trimmed.startsWith("$$")) {
+                if (trimmed.length === 2 || !trimmed.endsWith("$$")) mathBlock = true;
+                continue;
+            }
+            const headingMatch = text.match(HEADING);
+            if (headingMatch) heading = cleanHeading(headingMatch[2]);
+        }
+
+        let j = 0;
+        while (j < text.length) {
+            if (commentEnd) {
+                const k = text.indexOf(commentEnd, j);
+                if (k === -1) {
+                    j = text.length;
+                    break;
+                }
+                j = k + commentEnd.length;
+                commentEnd = null;
+                continue;
+            }
+
+            const rest = text.substring(j);
+            if (rest.startsWith("%%") || rest.startsWith("<!--")) {
+                commentEnd = rest.startsWith("%%") ? "%%" : "-->";
+                j += commentEnd === "%%" ? 2 : 4;
+                continue;
+            }
+
+            const skip = skipInline(text, j);
+            if (skip) {
+                j += skip;
+                continue;
+            }
+
+            if (open?.type === "markdown" && rest.startsWith("==")) {
+                close(i, lineStart + j, lineStart + j + 2);
+                j += 2;
+                continue;
+            }
+            if (open?.type === "html") {
+                const closeMatch = rest.match(MARK_CLOSE);
+                if (closeMatch) {
+                    close(i, lineStart + j, lineStart + j + closeMatch[0].length);
+                    j += closeMatch[0].length;
+                    continue;
+                }
+            }
+            if (!open) {
+                if (rest.startsWith("==") && rest[2] && rest[2] !== "=" && !/\s/.test(rest[2])) {
+                    openAt("markdown", i, lineStart, text, j, 2);
+                    j += 2;
+                    continue;
+                }
+                const markMatch = rest.match(MARK_OPEN);
+                if (markMatch) {
+                    const tag = markMatch[0];
+                    // Styled highlights carry their color in --hl-color, class-based ones get it from the palette
+                    const colorMatch = tag.match(/--hl-color:\s*([^;>"]+)/) || tag.match(/background(?:-color)?:\s*([^;>"]+)/);
+                    const idMatch = tag.match(/\sdata-hl-id="([^"]+)"/);
+                    const styleMatch = tag.match(/\sdata-hl-style="([^"]+)"/);
+                    const classMatch = tag.match(/\sclass="([^"]*)"/);
+                    const colorClass = classMatch?.[1].split(/\s+/).find((name) => name.startsWith(CLASS_PREFIX)) || null;
+                    const paletteEntry = colorClass ? resolvePaletteClass(classes, colorClass) : null;
+                    openAt("html", i, lineStart, text, j, tag.length, {
+                        color: colorMatch ? colorMatch[1].trim() : paletteEntry?.color,
+                        id: idMatch ? idMatch[1] : null,
+                        style: styleMatch ? styleMatch[1] : paletteEntry?.style,
+                        colorClass,
+                    });
+                    j += tag.length;
+                    continue;
+                }
+            }
+            j++;
+        }
+    }
+
+    return highlights;
+}
@@ -0,0 +1,354 @@
+/**
+ * Structured query language for filtering highlights.
+ *
+ *   color:"Key Concept" AND tag:#method AND folder:Papers AND prop:status=reading AND -text:draft
+ *
+ * - Terms are `field:value`; bare words search the highlight text.
+ * - Values may be quoted to include spaces.
+ * - `AND` (or juxtaposition), `OR`, `NOT` / `-` prefix, and parentheses.
+ */
+
+export const QUERY_FIELDS = ["text", "note", "color", "style", "tag", "file", "folder", "prop"];
+
+/**
+ * Identifies a palette entry, which is a color in a particular style, e.g.
+ * for matching highlights against the color filters.
+ */
+export function paletteKey(color, style) {
+    return `${(color || "").toLowerCase()}|${style || "background"}`;
+}
+
+/**
+ * Number of highlights per palette key, e.g. to show how often each palette
+ * entry is used.
+ * @param {Array} highlights - Parsed highlights
+ * @returns {Map<string, number>}
+ */
+export function countByPaletteKey(highlights) {
+    const counts = new Map();
+    for (const h of highlights) {
+        if (!h.color) continue;
+        const key = paletteKey(h.color, h.style);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+export class QueryParseError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} start - Offset of the offending input
+     * @param {number} end
+     */
+    constructor(message, start, end) {
+        super(message);
+        this.name = "QueryParseError";
+        this.start = start;
+        this.end = Math.max(end, start + 1);
+    }
+}
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+        const ch = input[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === "(" || ch === ")") {
+            tokens.push({ type: ch, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+        if (ch === "-" && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: "NOT", start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let field = null;
+        let fieldEnd = start;
+        const fieldMatch = input.substring(i).match(/^([a-zA-Z]+):/);
+        if (fieldMatch) {
+            field = fieldMatch[1].toLowerCase();
+            fieldEnd = i + fieldMatch[1].length;
+            i += fieldMatch[0].length;
+        }
+
+        let value = "";
+        if (input[i] === '"') {
+            const close = input.indexOf('"', i + 1);
+            if (close === -1) {
+                throw new QueryParseError("Unclosed quote", i, input.length);
+            }
+            value = input.substring(i + 1, close);
+            i = close + 1;
+        } else {
+            while (i < input.length && !/[\s()]/.test(input[i])) {
+                if (input[i] === '"') {
+                    const close = input.indexOf('"', i + 1);
+                    if (close === -1) {
+                        throw new QueryParseError("Unclosed quote", i, input.length);
+                    }
+                    value += input.substring(i + 1, close);
+                    i = close + 1;
+                } else {
+                    value += input[i];
+                    i++;
+                }
+            }
+        }
+
+        if (!field && (value === "AND" || value === "OR" || value === "NOT")) {
+            tokens.push({ type: value, start, end: i });
+            continue;
+        }
+        if (field && !QUERY_FIELDS.includes(field)) {
+            throw new QueryParseError(`Unknown field "${field}". Use one of: ${QUERY_FIELDS.join(", ")}`, start, fieldEnd);
+        }
+        if (field && !value) {
+            throw new QueryParseError(`Missing value for "${field}:"`, start, i);
+        }
+        tokens.push({ type: "TERM", field: field || "text", value, start, end: i });
+    }
+    return tokens;
+}
+
+function buildTerm(token) {
+    const term = { type: "term", field: token.field, value: token.value, start: token.start, end: token.end };
+    if (token.field === "prop") {
+        const eq = token.value.indexOf("=");
+        term.key = (eq === -1 ? token.value : token.value.substring(0, eq)).trim();
+        term.value = eq === -1 ? "" : token.value.substring(eq + 1).trim();
+        if (!term.key) {
+            throw new QueryParseError('"prop:" needs a property name, e.g. prop:status=reading', token.start, token.end);
+        }
+    }
+    return term;
+}
+
+/**
+ * Parse a query string into an AST.
+ * @param {string} input
+ * @returns {object|null} The AST, or null for an empty query
+ * @throws {QueryParseError}
+ */
+export function parseQuery(input) {
+    const tokens = tokenize(input || "");
+    if (tokens.length === 0) return null;
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const endOfInput = () => (input || "").length;
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek()?.type === "OR") {
+            pos++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: "or", children };
+    };
+
+    const parseAnd = () => {
+        const children = [parseUnary()];
+        while (peek() && peek().type !== "OR" && peek().type !== ")") {
+            if (peek().type === "AND") pos++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: "and", children };
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (!token) {
+            const at = tokens[pos - 1];
+            throw new QueryParseError(`Expected a term after "${input.substring(at.start, at.end)}"`, at.start, endOfInput());
+        }
+        if (token.type === "NOT") {
+            pos++;
+            return { type: "not", child: parseUnary() };
+        }
+        if (token.type === "(") {
+            pos++;
+            const expr = parseOr();
+            if (peek()?.type !== ")") {
+                throw new QueryParseError("Missing closing parenthesis", token.start, endOfInput());
+            }
+            pos++;
+            return expr;
+        }
+        if (token.type === "TERM") {
+            pos++;
+            return buildTerm(token);
+        }
+        throw new QueryParseError(`Unexpected "${input.substring(token.start, token.end)}"`, token.start, token.end);
+    };
+
+    const ast = parseOr();
+    if (pos < tokens.length) {
+        const token = tokens[pos];
+        throw new QueryParseError(`Unexpected "${input.substring(token.start, token.end)}"`, token.start, token.end);
+    }
+    return ast;
+}
+
+function normalizeTag(tag) {
+    return String(tag).toLowerCase().replace(/^#/, "");
+}
+
+function valueMatches(val, needle) {
+    if (val === undefined || val === null) return false;
+    if (Array.isArray(val)) return val.some((v) => valueMatches(v, needle));
+    return String(val).toLowerCase().includes(needle);
+}
+
+function matchesTerm(term, h, context) {
+    const needle = term.value.toLowerCase();
+    switch (term.field) {
+        case "text":
+            return (h.text || "").toLowerCase().includes(needle);
+        case "note":
+            return (h.note || "").toLowerCase().includes(needle);
+        case "file":
+            return (h.file?.path || "").toLowerCase().includes(needle);
+        case "folder": {
+            const folder = needle.replace(/^\/+|\/+$/g, "");
+            return !folder || (h.file?.path || "").toLowerCase().startsWith(`${folder}/`);
+        }
+        case "color": {
+            if (needle === "none" || needle === "default") return !h.color;
+            if (!h.color) return false;
+            const color = h.color.toLowerCase();
+            if (color === needle || color === `#${needle}`) return true;
+            // A meaning names a palette entry
+            return (context.palette || []).some((item) =>
+                item.meaning && item.meaning.toLowerCase() === needle &&
+                paletteKey(item.color, item.style) === paletteKey(color, h.style)
+            );
+        }
+        case "style":
+            return !!h.color && (h.style || "background") === needle;
+        case "tag": {
+            const wanted = normalizeTag(needle);
+            const fileTags = h.frontmatter?.tags ?? h.frontmatter?.tag;
+            const tags = [
+                ...(h.tags || []),
+                ...(Array.isArray(fileTags) ? fileTags : fileTags ? String(fileTags).split(/[,\s]+/) : []),
+            ].map(normalizeTag);
+            return tags.some((tag) => tag === wanted || tag.startsWith(`${wanted}/`));
+        }
+        case "prop": {
+            const val = h.frontmatter?.[term.key];
+            if (!term.value) return val !== undefined && val !== null;
+            return valueMatches(val, needle.replace(/^#/, "")) || valueMatches(val, needle);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Evaluate a parsed query against a highlight.
+ * @param {object|null} ast - Output of `parseQuery`; null matches everything
+ * @param {object} h - Highlight with `text`, `color`, `tags`, `file` and `frontmatter`
+ * @param {{palette?: Array<{color: string, meaning: string, style?: string}>}} context
+ */
+export function matchesQuery(ast, h, context = {}) {
+    if (!ast) return true;
+    switch (ast.type) {
+        case "and":
+            return ast.children.every((child) => matchesQuery(child, h, context));
+        case "or":
+            return ast.children.some((child) => matchesQuery(child, h, context));
+        case "not":
+            return !matchesQuery(ast.child, h, context);
+        case "term":
+            return matchesTerm(ast, h, context);
+        default:
+            return false;
+    }
+}
+
+export const BLOCK_SORTS = ["file", "newest", "oldest", "text"];
+
+function quote(value) {
+    return `"${value.replace(/"/g, "")}"`;
+}
+
+/**
+ * Parse the body of a ```highlights code block into a query and display options.
+ *
+ *   color: Key Concept, Vocabulary
+ *   style: underline
+ *   tag: #method
+ *   folder: Papers
+ *   property: status=reading
+ *   query: -text:draft
+ *   sort: newest
+ *   limit: 20
+ *
+ * Comma-separated values of one option are ORed; different options are ANDed.
+ * @returns {{query: string, sort: string, limit: number, errors: string[]}}
+ */
+export function parseHighlightBlock(source) {
+    const parts = [];
+    const errors = [];
+    let sort = "file";
+    let limit = 0;
+    const fieldFor = { color: "color", style: "style", tag: "tag", tags: "tag", folder: "folder", file: "file", property: "prop", prop: "prop", text: "text", note: "note" };
+
+    (source || "").split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || (trimmed.startsWith("#") && !trimmed.includes(":"))) return;
+        const match = trimmed.match(/^([a-zA-Z]+)\s*:\s*(.*)$/);
+        if (!match) {
+            errors.push(`Line ${index + 1}: expected "option: value"`);
+            return;
+        }
+        const key = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (!value) return;
+
+        if (key === "query") {
+            parts.push(`(${value})`);
+        } else if (key === "sort") {
+            if (BLOCK_SORTS.includes(value.toLowerCase())) sort = value.toLowerCase();
+            else errors.push(`Line ${index + 1}: sort must be one of ${BLOCK_SORTS.join(", ")}`);
+        } else if (key === "limit") {
+            limit = parseInt(value, 10);
+            if (!(limit > 0)) {
+                limit = 0;
+                errors.push(`Line ${index + 1}: limit must be a positive number`);
+            }
+        } else if (fieldFor[key]) {
+            const values = value.split(",").map((v) => v.trim()).filter(Boolean);
+            const terms = values.map((v) => `${fieldFor[key]}:${quote(v)}`);
+            parts.push(terms.length > 1 ? `(${terms.join(" OR ")})` : terms[0]);
+        } else {
+            errors.push(`Line ${index + 1}: unknown option "${key}"`);
+        }
+    });
+
+    return { query: parts.join(" AND "), sort, limit, errors };
+}
+
+/**
+ * Sort highlights for display according to a block `sort` option.
+ */
+export function sortHighlights(highlights, sort) {
+    const sorted = highlights.slice();
+    if (sort === "newest") {
+        sorted.sort((a, b) => (b.created || 0) - (a.created || 0));
+    } else if (sort === "oldest") {
+        sorted.sort((a, b) => (a.created || 0) - (b.created || 0));
+    } else if (sort === "text") {
+        sorted.sort((a, b) => a.text.localeCompare(b.text));
+    } else {
+        sorted.sort((a, b) => a.file.path.localeCompare(b.file.path) || (a.start || 0) - (b.start || 0));
+    }
+    return sorted;
+}
@@ -0,0 +1,64 @@
+/**
+ * Helpers for appending to Markdown notes section by section, e.g. to group
+ * captured passages under one heading per source.
+ */
+
+const HEADING = /^(#{1,6})\s/;
+
+/**
+ * Append `entry` to the end of the section under `heading` (a full heading
+ * line such as "## [[Source]]"), adding the heading at the end of the note
+ * when it is missing. The section ends at the next heading of the same or a
+ * higher level.
+ * @returns {string} The new content
+ */
+export function appendToSection(raw, heading, entry) {
+    const newline = raw.includes("\r\n") ? "\r\n" : "\n";
+    const block = entry.replace(/\r?\n/g, newline).replace(/\s+$/, "");
+    const lines = raw.split(/\r?\n/);
+    const headingIndex = lines.findIndex((line) => line.trim() === heading.trim());
+
+    if (headingIndex === -1) {
+        const body = raw.replace(/\s+$/, "");
+        const before = body ? `${body}${newline}${newline}` : "";
+        return `${before}${heading}${newline}${newline}${block}${newline}`;
+    }
+
+    const level = HEADING.exec(heading)?.[1].length ?? 6;
+    let end = lines.length;
+    for (let i = headingIndex + 1; i < lines.length; i++) {
+        const match = HEADING.exec(lines[i]);
+        if (match && match[1].length <= level) {
+            end = i;
+            break;
+        }
+    }
+    // Trailing blank lines of the section stay after the new entry
+    let last = end;
+    while (last > headingIndex + 1 && !lines[last - 1].trim()) last--;
+    const next = lines.slice(end);
+    const result = [...lines.slice(0, last), "", ...block.split(newline), ...(next.length ? ["", ...next] : [""])];
+    return result.join(newline);
+}
+
+/**
+ * A Markdown task line, with the due date in the Tasks plugin format. That
+ * plugin reads dates from the end of the line, so the date comes last.
+ * @param {{text: string, due?: string, tags?: string[], link?: string}} task
+ */
+export function formatTask({ text, due = "", tags = [], link = "" }) {
+    const parts = [`- [ ] ${text.replace(/\s+/g, " ").trim()}`];
+    if (link) parts.push(link);
+    parts.push(...tags.map((tag) => `#${tag.replace(/^#/, "")}`));
+    if (due) parts.push(`\u{1F4C5} ${due}`);
+    return parts.join(" ");
+}
+
+/**
+ * Append `line` on its own line at the end of the note.
+ */
+export function appendLine(raw, line) {
+    const newline = raw.includes("\r\n") ? "\r\n" : "\n";
+    const body = raw.replace(/\s+$/, "");
+    return body ? `${body}${newline}${line}${newline}` : `${line}${newline}`;
+}
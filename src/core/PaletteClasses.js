@@ -0,0 +1,117 @@
+/**
+ * Class-based highlight colors. In class mode a palette color is written as
+ * `<mark class="rh-key-concept">` instead of an inline hex style. The plugin
+ * generates the CSS for each class from the palette, so highlights follow
+ * palette edits and look right in light and dark themes. Colors of a palette
+ * profile get the profile's name in their class, e.g. `rh-reading-key-concept`.
+ */
+
+export const CLASS_PREFIX = "rh-";
+
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+// Declarations for the non-background styles, as in styles.css
+const STYLE_DECLARATIONS = {
+    underline: "text-decoration: underline 2px var(--hl-color); text-underline-offset: 3px;",
+    wavy: "text-decoration: underline wavy var(--hl-color); text-decoration-skip-ink: none; text-underline-offset: 3px;",
+    strikethrough: "text-decoration: line-through 2px var(--hl-color);",
+    box: "outline: 2px solid var(--hl-color); outline-offset: 1px; border-radius: 2px;",
+    text: "color: var(--hl-color); font-weight: var(--bold-weight);",
+};
+
+export function slugify(text) {
+    return (text || "")
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Class of palette entry `index`: its meaning as a slug, else its position,
+ * after the slug of `scope` (the profile name) for colors of a profile.
+ */
+export function paletteClassName(entry, index, scope = "") {
+    const prefix = slugify(scope);
+    return CLASS_PREFIX + (prefix ? `${prefix}-` : "") + (slugify(entry.meaning) || `color-${index + 1}`);
+}
+
+/**
+ * Copies of the colors of the default palette and every profile, in that
+ * order, each with the `className` it is written with. Palettes that share a
+ * meaning so get distinct classes.
+ * @param {Array} defaultColors
+ * @param {Array<{name: string, colors: Array}>} profiles
+ */
+export function classedPaletteColors(defaultColors, profiles = []) {
+    const classed = (colors, scope) => colors.map((entry, i) => ({ ...entry, className: paletteClassName(entry, i, scope) }));
+    return [classed(defaultColors, ""), ...profiles.map((profile) => classed(profile.colors || [], profile.name))].flat();
+}
+
+/**
+ * Class of entry `index` of a palette list: its `className`, else (in
+ * snapshots saved before classes were scoped) the name from its meaning or
+ * position.
+ */
+export function classNameOf(entry, index) {
+    return entry.className || paletteClassName(entry, index);
+}
+
+/**
+ * The entry of `palette` that `entry`, at `index` of an earlier palette,
+ * became: the one with the same id, or for colors saved before they had ids,
+ * the one at the same position.
+ */
+export function successorOf(entry, index, palette) {
+    if (entry.id) return palette.find((item) => item.id === entry.id) || null;
+    return palette[index] || null;
+}
+
+/**
+ * Class name -> current palette entry, for resolving class-based highlights
+ * when parsing. Classes from `previous` (the palette notes were last migrated
+ * with) stay valid as aliases of the same color, so renaming a meaning or a
+ * profile does not orphan existing highlights.
+ * @returns {Map<string, object>}
+ */
+export function buildClassMap(palette, previous = []) {
+    const map = new Map();
+    previous.forEach((entry, i) => {
+        const current = successorOf(entry, i, palette);
+        if (current) map.set(classNameOf(entry, i), current);
+    });
+    palette.forEach((entry, i) => map.set(classNameOf(entry, i), entry));
+    return map;
+}
+
+/**
+ * Color and style of a palette class, or null if `classes` (from
+ * `buildClassMap`) does not have it.
+ * @returns {{color: string, style: string|null}|null}
+ */
+export function resolvePaletteClass(classes, className) {
+    const entry = classes?.get(className);
+    if (!entry) return null;
+    return { color: entry.color, style: entry.style && entry.style !== "background" ? entry.style : null };
+}
+
+/**
+ * CSS for every palette class. Backgrounds are toned down in dark themes and
+ * keep the theme's text color there.
+ */
+export function buildPaletteCss(palette, previous = []) {
+    const rules = [];
+    for (const [name, entry] of buildClassMap(palette, previous)) {
+        if (!HEX_COLOR.test(entry.color || "")) continue;
+        const selector = `mark.${name}`;
+        const declarations = STYLE_DECLARATIONS[entry.style];
+        if (declarations) {
+            rules.push(`${selector} { --hl-color: ${entry.color}; background: transparent; color: inherit; ${declarations} }`);
+        } else {
+            rules.push(`${selector} { --hl-color: ${entry.color}; background: ${entry.color}; color: black; }`);
+            rules.push(`.theme-dark ${selector} { background: color-mix(in srgb, ${entry.color} 45%, transparent); color: var(--text-normal); }`);
+        }
+    }
+    return rules.join("\n");
+}
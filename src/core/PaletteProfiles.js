@@ -0,0 +1,93 @@
+/**
+ * Named palette profiles. The settings' `semanticColors` are the default
+ * palette; each profile is another list of colors that a note gets through a
+ * frontmatter key or by living in one of the profile's folders.
+ *
+ * Profile shape: { name, folders: string[], colors: [{ id, color, meaning, style, icon, autoTag }] }
+ * where `autoTag` holds the tags applied with the color, e.g. "#disagree #review".
+ */
+
+/**
+ * Creates a short random id for a palette color, e.g. "c-k3j9x0".
+ */
+export function createColorId() {
+    return "c-" + Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Give every color a stable id, so renamed or reordered colors can be traced.
+ * @returns {boolean} Whether an id was added
+ */
+export function ensureColorIds(colors) {
+    let added = false;
+    for (const entry of colors) {
+        if (!entry.id) {
+            entry.id = createColorId();
+            added = true;
+        }
+    }
+    return added;
+}
+
+/**
+ * Profile for a note: the one named by the frontmatter `key`, else the one
+ * with the deepest folder containing the note, else null for the default
+ * palette.
+ * @param {Array} profiles
+ * @param {string} path - Note path
+ * @param {object} frontmatter
+ * @param {string} key - Frontmatter key naming a profile
+ */
+export function selectProfile(profiles, path, frontmatter = {}, key = "") {
+    const named = key ? frontmatter?.[key] : null;
+    if (typeof named === "string" && named.trim()) {
+        const wanted = named.trim().toLowerCase();
+        const profile = profiles.find((p) => p.name.trim().toLowerCase() === wanted);
+        if (profile) return profile;
+    }
+
+    let best = null;
+    let bestDepth = -1;
+    for (const profile of profiles) {
+        for (const folder of profile.folders || []) {
+            const clean = folder.trim().replace(/^\/+|\/+$/g, "");
+            if (!clean || !path.startsWith(`${clean}/`)) continue;
+            const depth = clean.split("/").length;
+            if (depth > bestDepth) {
+                best = profile;
+                bestDepth = depth;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Colors of the default palette and every profile, in that order, e.g. to
+ * resolve meanings and classes of highlights in any note.
+ */
+export function allPaletteColors(defaultColors, profiles = []) {
+    return [defaultColors, ...profiles.map((p) => p.colors || [])].flat();
+}
+
+/**
+ * Tags bound to a palette color, from its `autoTag` field ("#a b, c").
+ * @returns {string[]} Without `#`
+ */
+export function colorTags(entry) {
+    return (entry?.autoTag || "")
+        .split(/[\s,]+/)
+        .map((tag) => tag.replace(/^#/, ""))
+        .filter(Boolean);
+}
+
+/**
+ * The first color of `palette` bound to one of `tags`, or null.
+ * @param {Array} palette
+ * @param {string[]} tags - With or without `#`
+ */
+export function findTagColor(palette, tags) {
+    const wanted = new Set(tags.map((tag) => tag.replace(/^#/, "").toLowerCase()));
+    if (!wanted.size) return null;
+    return palette.find((entry) => colorTags(entry).some((tag) => wanted.has(tag.toLowerCase()))) || null;
+}
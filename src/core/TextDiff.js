@@ -0,0 +1,238 @@
+/**
+ * Minimal text diffing used by the undo history.
+ * A diff is an ordered array of hunks `{ start, deleted, inserted }`, where
+ * `start` is an offset into the text the hunks apply to.
+ */
+
+// LCS tables are quadratic; above this many cells we fall back to a single hunk.
+const MAX_LCS_CELLS = 250000;
+
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function sumLength(lines, from, to) {
+    let length = 0;
+    for (let i = from; i < to; i++) length += lines[i].length;
+    return length;
+}
+
+/**
+ * Trim the common leading and trailing characters of a hunk so it only covers
+ * the characters that actually changed.
+ */
+function tightenHunk(hunk) {
+    let { start, deleted, inserted } = hunk;
+    let prefix = 0;
+    const maxPrefix = Math.min(deleted.length, inserted.length);
+    while (prefix < maxPrefix && deleted[prefix] === inserted[prefix]) prefix++;
+    let suffix = 0;
+    const maxSuffix = Math.min(deleted.length, inserted.length) - prefix;
+    while (
+        suffix < maxSuffix &&
+        deleted[deleted.length - 1 - suffix] === inserted[inserted.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+    start += prefix;
+    deleted = deleted.substring(prefix, deleted.length - suffix);
+    inserted = inserted.substring(prefix, inserted.length - suffix);
+    return { start, deleted, inserted };
+}
+
+/**
+ * Diff two token sequences (lines or characters) with an LCS table.
+ * Falls back to a single hunk when the sequences are too large.
+ */
+function diffTokens(a, b, baseOffset) {
+    const n = a.length;
+    const m = b.length;
+    if (n * m > MAX_LCS_CELLS || n === 0 || m === 0) {
+        return [{ start: baseOffset, deleted: a.join(""), inserted: b.join("") }];
+    }
+
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+
+    const hunks = [];
+    let i = 0;
+    let j = 0;
+    let offset = baseOffset;
+    let current = null;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[i] === b[j]) {
+            if (current) {
+                hunks.push(current);
+                current = null;
+            }
+            offset += a[i].length;
+            i++;
+            j++;
+        } else if (j < m && (i >= n || table[i * width + j + 1] >= table[(i + 1) * width + j])) {
+            if (!current) current = { start: offset, deleted: "", inserted: "" };
+            current.inserted += b[j];
+            j++;
+        } else {
+            if (!current) current = { start: offset, deleted: "", inserted: "" };
+            current.deleted += a[i];
+            offset += a[i].length;
+            i++;
+        }
+    }
+    if (current) hunks.push(current);
+    return hunks;
+}
+
+/**
+ * Compute the hunks that turn `before` into `after`.
+ * Lines are diffed first, then each changed run is refined per character so
+ * that wrapping text in markup only records the inserted markers.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{start: number, deleted: string, inserted: string}>}
+ */
+export function computeDiff(before, after) {
+    if (before === after) return [];
+
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (
+        tail < a.length - head &&
+        tail < b.length - head &&
+        a[a.length - 1 - tail] === b[b.length - 1 - tail]
+    ) {
+        tail++;
+    }
+
+    const lineHunks = diffTokens(a.slice(head, a.length - tail), b.slice(head, b.length - tail), sumLength(a, 0, head));
+    const hunks = [];
+    for (const lineHunk of lineHunks) {
+        const tight = tightenHunk(lineHunk);
+        hunks.push(...diffTokens(Array.from(tight.deleted), Array.from(tight.inserted), tight.start));
+    }
+    return hunks.filter((hunk) => hunk.deleted || hunk.inserted);
+}
+
+/**
+ * Apply hunks to `text`, verifying that every hunk's `deleted` text is still
+ * present at its recorded offset.
+ * @returns {string|null} The patched text, or null when the text does not match.
+ */
+export function applyDiff(text, hunks) {
+    let result = "";
+    let cursor = 0;
+    for (const hunk of hunks) {
+        if (hunk.start < cursor) return null;
+        if (text.substr(hunk.start, hunk.deleted.length) !== hunk.deleted) return null;
+        result += text.substring(cursor, hunk.start) + hunk.inserted;
+        cursor = hunk.start + hunk.deleted.length;
+    }
+    return result + text.substring(cursor);
+}
+
+/**
+ * Invert hunks produced by `computeDiff(before, after)` so they turn `after`
+ * back into `before`.
+ */
+export function invertDiff(hunks) {
+    let delta = 0;
+    return hunks.map((hunk) => {
+        const inverted = {
+            start: hunk.start + delta,
+            deleted: hunk.inserted,
+            inserted: hunk.deleted,
+        };
+        delta += hunk.inserted.length - hunk.deleted.length;
+        return inverted;
+    });
+}
+
+/**
+ * Attach the surrounding text of each hunk so it can be relocated later.
+ * `text` must be the text the hunks apply to.
+ */
+export function withContext(text, hunks, size = 24) {
+    return hunks.map((hunk) => ({
+        ...hunk,
+        before: text.substring(Math.max(0, hunk.start - size), hunk.start),
+        after: text.substring(hunk.start + hunk.deleted.length, hunk.start + hunk.deleted.length + size),
+    }));
+}
+
+function findUnique(text, needle, from) {
+    if (!needle) return -1;
+    const first = text.indexOf(needle, from);
+    if (first === -1 || text.indexOf(needle, first + 1) !== -1) return -1;
+    return first;
+}
+
+/**
+ * Locate a hunk (with context) in `text`, starting the search at `from`.
+ * The recorded offset wins when its text and at least one side of its
+ * context still match; otherwise the hunk is searched for by its context.
+ * @returns {number} The offset of the hunk's `deleted` text, or -1.
+ */
+function locateHunk(text, hunk, expected, from) {
+    const before = hunk.before || "";
+    const after = hunk.after || "";
+    const matchesAt = (pos) =>
+        pos >= from &&
+        text.substr(pos, hunk.deleted.length) === hunk.deleted &&
+        (text.substring(pos - before.length, pos) === before ||
+            text.substr(pos + hunk.deleted.length, after.length) === after);
+
+    if (matchesAt(expected)) return expected;
+
+    const candidates = [
+        [before + hunk.deleted + after, before.length],
+        [before + hunk.deleted, before.length],
+        [hunk.deleted + after, 0],
+    ];
+    for (const [needle, lead] of candidates) {
+        if (needle.length <= hunk.deleted.length) continue;
+        const index = findUnique(text, needle, Math.max(0, from - lead));
+        if (index !== -1 && index + lead >= from) return index + lead;
+    }
+    return -1;
+}
+
+/**
+ * Apply hunks produced by `withContext` to text that may have been edited
+ * since they were recorded. Hunks are relocated through their context; any
+ * hunk whose region was changed is reported as a conflict and nothing is applied.
+ * @returns {{content: string|null, conflicts: Array<{hunk: object, found: string}>}}
+ */
+export function patchText(text, hunks) {
+    const conflicts = [];
+    let result = "";
+    let cursor = 0;
+    let delta = 0;
+    for (const hunk of hunks) {
+        const expected = hunk.start + delta;
+        const position = locateHunk(text, hunk, expected, cursor);
+        if (position === -1) {
+            const from = Math.max(0, Math.min(expected, text.length) - (hunk.before || "").length);
+            const to = Math.min(text.length, expected + hunk.deleted.length + (hunk.after || "").length);
+            conflicts.push({ hunk, found: text.substring(from, to) });
+            continue;
+        }
+        delta = position - hunk.start;
+        result += text.substring(cursor, position) + hunk.inserted;
+        cursor = position + hunk.deleted.length;
+    }
+    if (conflicts.length > 0) {
+        return { content: null, conflicts };
+    }
+    return { content: result + text.substring(cursor), conflicts };
+}
@@ -0,0 +1,199 @@
+import { computeDiff, invertDiff, withContext, patchText } from "./TextDiff";
+
+/**
+ * Per-file undo/redo stacks for highlight operations.
+ * Entries store diffs rather than whole-file copies, and the number of steps
+ * per file and the number of tracked files are both bounded. Each entry keeps
+ * the undo and redo patches with enough context to be applied to a note that
+ * has been edited since.
+ *
+ * Changes to many files at once (e.g. a vault-wide conversion) are recorded as
+ * batches, kept apart from the per-file stacks and undone as one step.
+ */
+export class UndoHistory {
+    constructor({ maxSteps = 50, maxFiles = 30, maxBatches = 5 } = {}) {
+        this.maxSteps = maxSteps;
+        this.maxFiles = maxFiles;
+        this.stacks = new Map(); // path -> { undo: Entry[], redo: Entry[] }, in least-recently-used order
+        this.batches = []; // { id, label, timestamp, files: [{ path, undo }] }, oldest first
+        this.maxBatches = maxBatches;
+        this.nextId = 1;
+    }
+
+    /**
+     * Record a modification of `path` from `before` to `after`.
+     * Clears the redo stack of that file.
+     * @returns {object|null} The new entry, or null when nothing changed.
+     */
+    record(path, before, after, label) {
+        const hunks = computeDiff(before, after);
+        if (hunks.length === 0) return null;
+
+        const entry = {
+            id: this.nextId++,
+            label,
+            timestamp: Date.now(),
+            undo: withContext(after, invertDiff(hunks)),
+            redo: withContext(before, hunks),
+        };
+        const stack = this.touch(path);
+        stack.undo.push(entry);
+        stack.redo = [];
+        if (stack.undo.length > this.maxSteps) {
+            stack.undo.splice(0, stack.undo.length - this.maxSteps);
+        }
+        return entry;
+    }
+
+    /**
+     * Record a change to several files that is undone as one step.
+     * @param {string} label
+     * @param {Array<{path: string, before: string, after: string}>} changes
+     * @returns {object|null} The new batch, or null when nothing changed.
+     */
+    recordBatch(label, changes) {
+        const files = [];
+        for (const { path, before, after } of changes) {
+            const hunks = computeDiff(before, after);
+            if (hunks.length > 0) files.push({ path, undo: withContext(after, invertDiff(hunks)) });
+        }
+        if (files.length === 0) return null;
+
+        const batch = { id: this.nextId++, label, timestamp: Date.now(), files };
+        this.batches.push(batch);
+        if (this.batches.length > this.maxBatches) {
+            this.batches.splice(0, this.batches.length - this.maxBatches);
+        }
+        return batch;
+    }
+
+    /**
+     * The most recent batch, or null. Call `commitBatch` once its files are undone.
+     */
+    latestBatch() {
+        return this.batches[this.batches.length - 1] || null;
+    }
+
+    /**
+     * Content that undoing one file of a batch would produce.
+     * @returns {{content: string|null, conflicts: Array}} `content` is null when the recorded region was edited since.
+     */
+    previewBatchUndo(file, current) {
+        return patchText(current, file.undo);
+    }
+
+    commitBatch() {
+        return this.batches.pop() || null;
+    }
+
+    touch(path) {
+        let stack = this.stacks.get(path);
+        if (stack) {
+            this.stacks.delete(path);
+        } else {
+            stack = { undo: [], redo: [] };
+        }
+        this.stacks.set(path, stack);
+        while (this.stacks.size > this.maxFiles) {
+            this.stacks.delete(this.stacks.keys().next().value);
+        }
+        return stack;
+    }
+
+    setMaxSteps(maxSteps) {
+        this.maxSteps = maxSteps;
+        for (const stack of this.stacks.values()) {
+            if (stack.undo.length > maxSteps) stack.undo.splice(0, stack.undo.length - maxSteps);
+            if (stack.redo.length > maxSteps) stack.redo.splice(0, stack.redo.length - maxSteps);
+        }
+    }
+
+    canUndo(path) {
+        return (this.stacks.get(path)?.undo.length || 0) > 0;
+    }
+
+    canRedo(path) {
+        return (this.stacks.get(path)?.redo.length || 0) > 0;
+    }
+
+    /**
+     * Most recently touched file that has entries of the given kind.
+     * @param {"undo"|"redo"} kind
+     */
+    latestPath(kind) {
+        const paths = Array.from(this.stacks.keys()).reverse();
+        return paths.find((path) => this.stacks.get(path)[kind].length > 0) || null;
+    }
+
+    /**
+     * Compute the content that undoing the latest entry of `path` would produce.
+     * Does not change the stacks; call `commitUndo` once the content is written.
+     * @returns {{entry: object, content: string|null, conflicts: Array}|null}
+     *          `content` is null when the recorded region was edited since.
+     */
+    previewUndo(path, current) {
+        const stack = this.stacks.get(path);
+        const entry = stack?.undo[stack.undo.length - 1];
+        if (!entry) return null;
+        return { entry, ...patchText(current, entry.undo) };
+    }
+
+    previewRedo(path, current) {
+        const stack = this.stacks.get(path);
+        const entry = stack?.redo[stack.redo.length - 1];
+        if (!entry) return null;
+        return { entry, ...patchText(current, entry.redo) };
+    }
+
+    commitUndo(path) {
+        const stack = this.touch(path);
+        const entry = stack.undo.pop();
+        if (entry) stack.redo.push(entry);
+        return entry || null;
+    }
+
+    commitRedo(path) {
+        const stack = this.touch(path);
+        const entry = stack.redo.pop();
+        if (entry) stack.undo.push(entry);
+        return entry || null;
+    }
+
+    /**
+     * Discard the next undo or redo entry of a file without applying it.
+     * @param {"undo"|"redo"} kind
+     */
+    drop(path, kind) {
+        const stack = this.stacks.get(path);
+        return stack?.[kind].pop() || null;
+    }
+
+    /**
+     * Entries of a file, newest first, for display.
+     * @returns {{undo: object[], redo: object[]}}
+     */
+    getEntries(path) {
+        const stack = this.stacks.get(path);
+        if (!stack) return { undo: [], redo: [] };
+        return {
+            undo: stack.undo.slice().reverse(),
+            redo: stack.redo.slice().reverse(),
+        };
+    }
+
+    rename(oldPath, newPath) {
+        for (const batch of this.batches) {
+            batch.files.forEach((file) => {
+                if (file.path === oldPath) file.path = newPath;
+            });
+        }
+        const stack = this.stacks.get(oldPath);
+        if (!stack) return;
+        this.stacks.delete(oldPath);
+        this.stacks.set(newPath, stack);
+    }
+
+    forget(path) {
+        this.stacks.delete(path);
+    }
+}
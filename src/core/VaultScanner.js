@@ -1,59 +1,48 @@
 import { getHighlightsFromContent } from "../utils/export";
+import { resolvePaletteClass } from "./PaletteClasses";
+
+// Bump when the shape of parsed highlights changes so saved caches are re-read
+const CACHE_VERSION = 4;
 
 export class VaultScanner {
-    constructor(app) {
+    /**
+     * Keeps an always-on cache of every note's highlights. The plugin feeds it
+     * vault and metadata events; views read `getResults()` and subscribe with
+     * `onChange()` instead of rescanning.
+     * @param {object} app
+     * @param {HighlightIndex|null} index - When given, scanned highlights are assigned their stable ids
+     * @param {Map} classes - Palette classes from `buildClassMap`, to resolve class-based colors
+     */
+    constructor(app, index = null, classes = new Map()) {
         this.app = app;
-        this.cache = new Map(); // path -> { mtime, highlights }
+        this.index = index;
+        this.classes = classes;
+        this.cache = new Map(); // path -> { mtime, highlights, frontmatter }
+        this.listeners = new Set();
+        this.isReady = false;
     }
 
     /**
-     * Scans the entire vault for highlights asynchronously.
+     * Scans the entire vault for highlights asynchronously. Files whose mtime
+     * matches the cache are not read again.
      * @param {function} onProgress - Callback with signatures (current, total, filename)
      * @returns {Promise<Array>} Array of { file: TFile, highlights: Array }
      */
     async scanVault(onProgress = () => {}) {
         const files = this.app.vault.getMarkdownFiles();
         const total = files.length;
-        const results = [];
-        
+        const changed = [];
+
         // Batch configuration to avoid blocking UI
         const BATCH_SIZE = 20;
 
         for (let i = 0; i < total; i += BATCH_SIZE) {
             const batch = files.slice(i, i + BATCH_SIZE);
-            
-            const batchPromises = batch.map(async (file) => {
-                const stat = file.stat;
-                
-                // Check cache
-                const cached = this.cache.get(file.path);
-                if (cached && cached.mtime === stat.mtime) {
-                    return { file, highlights: cached.highlights, frontmatter: cached.frontmatter };
-                }
-
-                // Read and parse
-                const content = await this.app.vault.cachedRead(file);
-                const highlights = getHighlightsFromContent(content);
-                const metadata = this.app.metadataCache.getFileCache(file);
-                const frontmatter = metadata?.frontmatter || {};
-                
-                // Update cache
-                this.cache.set(file.path, {
-                    mtime: stat.mtime,
-                    highlights: highlights,
-                    frontmatter: frontmatter
-                });
-
-                return { file, highlights, frontmatter };
-            });
 
-            const batchResults = await Promise.all(batchPromises);
-            
-            for (const res of batchResults) {
-                if (res.highlights.length > 0) {
-                    results.push(res);
-                }
-            }
+            const batchResults = await Promise.all(batch.map((file) => this.readFile(file)));
+            batchResults.forEach((didChange, j) => {
+                if (didChange) changed.push(batch[j].path);
+            });
 
             // Report progress
             const current = Math.min(i + BATCH_SIZE, total);
@@ -64,12 +53,138 @@ export class VaultScanner {
             await new Promise(resolve => setTimeout(resolve, 0));
         }
 
-        // Sort results by file name
+        // Drop notes that were removed while the plugin was not running
+        const present = new Set(files.map((file) => file.path));
+        for (const path of [...this.cache.keys()]) {
+            if (!present.has(path)) {
+                this.cache.delete(path);
+                changed.push(path);
+            }
+        }
+
+        this.isReady = true;
+        this.notify(changed);
+        return this.getResults(files);
+    }
+
+    /**
+     * Re-read a single note if it changed since it was cached. When only its
+     * metadata changed, the frontmatter is refreshed without reading the file.
+     * @returns {Promise<boolean>} Whether the cached entry changed
+     */
+    async updateFile(file) {
+        const changed = await this.readFile(file);
+        if (changed) this.notify([file.path]);
+        return changed;
+    }
+
+    renameFile(file, oldPath) {
+        const cached = this.cache.get(oldPath);
+        if (!cached) return;
+        this.cache.delete(oldPath);
+        this.cache.set(file.path, cached);
+        this.notify([oldPath, file.path]);
+    }
+
+    removeFile(path) {
+        if (this.cache.delete(path)) this.notify([path]);
+    }
+
+    async readFile(file) {
+        const stat = file.stat;
+        const metadata = this.app.metadataCache.getFileCache(file);
+        const frontmatter = metadata?.frontmatter || {};
+
+        // Check cache
+        const cached = this.cache.get(file.path);
+        if (cached && cached.mtime === stat.mtime) {
+            if (JSON.stringify(cached.frontmatter) === JSON.stringify(frontmatter)) return false;
+            cached.frontmatter = frontmatter;
+            return true;
+        }
+
+        // Read and parse
+        const content = await this.app.vault.cachedRead(file);
+        let highlights = getHighlightsFromContent(content, { classes: this.classes });
+        if (this.index) {
+            // The first scan indexes highlights that already existed, so no events
+            highlights = this.index.syncFile(file.path, highlights, stat.mtime, this.isReady).highlights;
+        }
+
+        // Update cache
+        this.cache.set(file.path, { mtime: stat.mtime, highlights, frontmatter });
+        return true;
+    }
+
+    /**
+     * Re-resolve the color and style of class-based highlights after the
+     * palette changed, without reading the notes again.
+     * @param {Map} classes - The new palette classes from `buildClassMap`
+     */
+    refreshClassColors(classes) {
+        this.classes = classes;
+        const changed = [];
+        for (const [path, entry] of this.cache) {
+            let touched = false;
+            for (const h of entry.highlights) {
+                if (!h.colorClass) continue;
+                const resolved = resolvePaletteClass(classes, h.colorClass);
+                const color = resolved?.color || null;
+                const style = resolved?.style || null;
+                if (h.color === color && h.style === style) continue;
+                h.color = color;
+                h.style = style;
+                touched = true;
+            }
+            if (touched) changed.push(path);
+        }
+        this.notify(changed);
+    }
+
+    /**
+     * Cached results for every note that has highlights, sorted by file name.
+     * @returns {Array} Array of { file: TFile, highlights: Array, frontmatter: object }
+     */
+    getResults(files = this.app.vault.getMarkdownFiles()) {
+        const results = [];
+        for (const file of files) {
+            const cached = this.cache.get(file.path);
+            if (cached && cached.highlights.length > 0) {
+                results.push({ file, highlights: cached.highlights, frontmatter: cached.frontmatter });
+            }
+        }
         results.sort((a, b) => a.file.basename.localeCompare(b.file.basename));
-        
         return results;
     }
 
+    /**
+     * Subscribe to cache changes. The listener receives the changed paths.
+     * @returns {function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(paths) {
+        if (paths.length === 0) return;
+        this.listeners.forEach((listener) => listener(paths));
+    }
+
+    toJSON() {
+        return { version: CACHE_VERSION, files: Object.fromEntries(this.cache) };
+    }
+
+    load(data) {
+        this.cache.clear();
+        if (!data || data.version !== CACHE_VERSION || !data.files) return;
+        for (const [path, entry] of Object.entries(data.files)) {
+            if (entry && typeof entry.mtime === "number" && Array.isArray(entry.highlights)) {
+                this.cache.set(path, { mtime: entry.mtime, highlights: entry.highlights, frontmatter: entry.frontmatter || {} });
+            }
+        }
+    }
+
     /**
      * Clear the cache to force a full re-scan
      */
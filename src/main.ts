@@ -1,23 +1,57 @@
-import { Plugin, Notice, Platform, PluginSettingTab, Setting, MarkdownView, View, TFile } from "obsidian";
+import { Plugin, Notice, Platform, PluginSettingTab, Setting, MarkdownView, View, TFile, TFolder, debounce, normalizePath, moment } from "obsidian";
 import { FloatingManager } from "./ui/FloatingManager";
 import { SelectionLogic } from "./core/SelectionLogic";
 import { TagSuggestModal } from "./modals/TagSuggestModal";
 import { AnnotationModal } from "./modals/AnnotationModal";
+import { TextPromptModal } from "./modals/TextPromptModal";
+import { NoteSuggestModal } from "./modals/NoteSuggestModal";
+import { TaskModal } from "./modals/TaskModal";
 import { HighlightNavigatorView, HIGHLIGHT_NAVIGATOR_VIEW } from "./views/HighlightNavigator";
 import { ResearchView, RESEARCH_VIEW } from "./views/ResearchView";
 import { getScroll, applyScroll } from "./utils/dom";
-import { exportHighlightsToMD } from "./utils/export";
+import { exportHighlightsToMD, getHighlightsFromContent } from "./utils/export";
 import { FailureRecoveryModal } from "./ui/FailureRecoveryModal";
+import { UndoHistory } from "./core/UndoHistory";
+import { HighlightHistoryModal } from "./modals/HighlightHistoryModal";
+import { UndoConflictModal } from "./modals/UndoConflictModal";
+import { ConvertSyntaxModal } from "./modals/ConvertSyntaxModal";
+import { PaletteSuggestModal } from "./modals/PaletteSuggestModal";
+import { ReaderHighlighterApi, HIGHLIGHT_EVENTS } from "./api/ReaderHighlighterApi";
+import { HighlightIndex, createHighlightId } from "./core/HighlightIndex";
+import { VaultScanner } from "./core/VaultScanner";
+import { insertFootnote, updateFootnote, removeFootnote, formatHighlight, recolorHighlight, setHighlightTags, findHighlight, createBlockId, ensureBlockId, eraseRange, resolveOverlaps, mergeAdjacentHighlights, migrateColorMarkup, convertHighlightSyntax, toggleInlineFormat, formatWikilink, INLINE_FORMATS, HIGHLIGHT_STYLES } from "./core/HighlightEditor";
+import { paletteClassName, classedPaletteColors, buildClassMap, buildPaletteCss } from "./core/PaletteClasses";
+import { appendToSection, appendLine, formatTask } from "./core/MarkdownSections";
+import { buildHighlightUri, resolveHighlightLink, HIGHLIGHT_LINK_ACTION } from "./core/HighlightLinks";
+import { createColorId, ensureColorIds, selectProfile, allPaletteColors, findTagColor } from "./core/PaletteProfiles";
+import { HighlightsBlockRenderer, HIGHLIGHTS_BLOCK } from "./views/HighlightsBlock";
+import { showHighlightMenu } from "./ui/HighlightMenu";
 
 interface SemanticColor {
+    id?: string;
     color: string;
     meaning: string;
+    style?: string;
+    icon?: string;
+    autoTag?: string;
+    className?: string; // Only in copies from getClassedPaletteColors
+}
+
+interface PaletteProfile {
+    name: string;
+    folders: string[];
+    colors: SemanticColor[];
 }
 
 interface LearnedNormRule {
     stripPattern: string;
 }
 
+interface SavedQuery {
+    name: string;
+    query: string;
+}
+
 interface ReadingHighlighterSettings {
     toolbarPosition: string;
     enableColorHighlighting: boolean;
@@ -27,9 +61,23 @@ interface ReadingHighlighterSettings {
     showTagButton: boolean;
     showRemoveButton: boolean;
     showQuoteButton: boolean;
+    showFormatButtons: boolean;
+    showExtractButton: boolean;
+    showLinkButton: boolean;
+    showCaptureButton: boolean;
+    showTaskButton: boolean;
+    taskNotePath: string;
+    taskColor: string;
+    taskTags: string;
+    captureTarget: string;
+    captureInboxPath: string;
+    captureTemplate: string;
     enableColorPalette: boolean;
     semanticColors: SemanticColor[];
     quoteTemplate: string;
+    atomicNoteFolder: string;
+    atomicNoteNameTemplate: string;
+    atomicNoteTemplate: string;
     enableAnnotations: boolean;
     showAnnotationButton: boolean;
     enableReadingProgress: boolean;
@@ -43,6 +91,15 @@ interface ReadingHighlighterSettings {
     frontmatterTag: string;
     enableSmartParagraphSelection: boolean;
     learnedNormRules: LearnedNormRule[];
+    maxUndoSteps: number;
+    writeHighlightIds: boolean;
+    enableHighlightMenu: boolean;
+    savedQueries: SavedQuery[];
+    colorMarkup: string;
+    paletteSnapshot: SemanticColor[];
+    paletteProfiles: PaletteProfile[];
+    paletteFrontmatterKey: string;
+    lastColorId: string;
 }
 
 const SMART_SELECTION_TAGS = new Set([
@@ -72,6 +129,17 @@ const DEFAULT_SETTINGS: ReadingHighlighterSettings = {
     showTagButton: true,
     showRemoveButton: true,
     showQuoteButton: true,
+    showFormatButtons: false,
+    showExtractButton: false,
+    showLinkButton: false,
+    showCaptureButton: false,
+    showTaskButton: false,
+    taskNotePath: "Tasks.md",
+    taskColor: "#FFCC80",
+    taskTags: "",
+    captureTarget: "daily",
+    captureInboxPath: "Inbox.md",
+    captureTemplate: "> {{text}}\n>\n> — {{link}}",
     enableColorPalette: false,
     semanticColors: [
         { color: "#FFCDD2", meaning: "Important" },
@@ -91,6 +159,9 @@ const DEFAULT_SETTINGS: ReadingHighlighterSettings = {
         { color: "#FFE0B2", meaning: "" },
     ],
     quoteTemplate: "> {{text}}\n>\n> — [[{{file}}]]",
+    atomicNoteFolder: "",
+    atomicNoteNameTemplate: "{{text}}",
+    atomicNoteTemplate: "> {{text}}\n\nSource: {{link}}\nAuthor: {{author}}\nDate: {{date}}\n",
     enableAnnotations: true,
     showAnnotationButton: true,
     enableReadingProgress: true,
@@ -104,20 +175,72 @@ const DEFAULT_SETTINGS: ReadingHighlighterSettings = {
     frontmatterTag: "resaltados",
     enableSmartParagraphSelection: false,
     learnedNormRules: [],
+    maxUndoSteps: 50,
+    writeHighlightIds: false,
+    enableHighlightMenu: true,
+    savedQueries: [],
+    colorMarkup: "inline",
+    paletteSnapshot: [],
+    paletteProfiles: [],
+    paletteFrontmatterKey: "highlight-palette",
+    lastColorId: "",
+};
+
+const HIGHLIGHT_INDEX_FILE = "highlight-index.json";
+const SCAN_CACHE_FILE = "scan-cache.json";
+
+const STYLE_LABELS: Record<string, string> = {
+    background: "Background",
+    underline: "Underline",
+    wavy: "Wavy underline",
+    strikethrough: "Strikethrough",
+    box: "Box",
+    text: "Text color",
+};
+
+const FORMAT_LABELS: Record<string, string> = {
+    bold: "Bold",
+    italic: "Italic",
+    strikethrough: "Strikethrough",
+    code: "Inline code",
 };
 
 export default class ReadingHighlighterPlugin extends Plugin {
     settings: ReadingHighlighterSettings;
     floatingManager: any; // We could type these better if we converted their files too
     logic: any;
-    lastModification: { file: TFile, original: string } | null = null;
+    history: UndoHistory;
+    highlightIndex: HighlightIndex;
+    vaultScanner: VaultScanner;
+    api: ReaderHighlighterApi;
+    paletteStyleEl: HTMLStyleElement;
     lastScrollPosition: any = null;
+    colorCommandCount = 0;
+    paletteClasses: Map<string, SemanticColor> = new Map(); // Class name -> palette color, see buildClassMap
 
     async onload() {
         await this.loadSettings();
 
+        this.paletteStyleEl = document.head.createEl("style", { attr: { id: "reader-highlighter-palette" } });
+        this.register(() => this.paletteStyleEl.remove());
+        this.applyPaletteClasses();
+
         this.floatingManager = new FloatingManager(this);
         this.logic = new SelectionLogic(this.app, () => this.settings.learnedNormRules);
+        this.history = new UndoHistory({ maxSteps: this.settings.maxUndoSteps });
+        this.highlightIndex = new HighlightIndex(this.requestIndexSave);
+        this.highlightIndex.load(await this.readDataFile(HIGHLIGHT_INDEX_FILE));
+        this.vaultScanner = new VaultScanner(this.app, this.highlightIndex, this.paletteClasses);
+        this.vaultScanner.load(await this.readDataFile(SCAN_CACHE_FILE));
+        this.vaultScanner.onChange(() => this.requestScanCacheSave());
+        // Let other plugins follow highlights, whoever wrote them. The first
+        // vault scan indexes existing highlights without events.
+        this.register(this.highlightIndex.onSync((path: string, { added, removed, changed }: any) => {
+            added.forEach((record: any) => this.app.workspace.trigger(HIGHLIGHT_EVENTS.created, record));
+            removed.forEach((record: any) => this.app.workspace.trigger(HIGHLIGHT_EVENTS.removed, record));
+            changed.forEach((record: any) => this.app.workspace.trigger(HIGHLIGHT_EVENTS.changed, record));
+        }));
+        this.api = new ReaderHighlighterApi(this);
 
         this.registerView(
             HIGHLIGHT_NAVIGATOR_VIEW,
@@ -129,6 +252,10 @@ export default class ReadingHighlighterPlugin extends Plugin {
             (leaf) => new ResearchView(leaf, this)
         );
 
+        this.registerMarkdownCodeBlockProcessor(HIGHLIGHTS_BLOCK, (source, el, ctx) => {
+            ctx.addChild(new HighlightsBlockRenderer(el, this, source, ctx.sourcePath));
+        });
+
         this.addSettingTab(new ReadingHighlighterSettingTab(this.app, this));
         this.registerCommands();
 
@@ -136,6 +263,15 @@ export default class ReadingHighlighterPlugin extends Plugin {
             this.floatingManager.handleSelection();
         });
 
+        // Deep links to a highlight, e.g. obsidian://reader-highlighter?file=...&id=...
+        this.registerObsidianProtocolHandler(HIGHLIGHT_LINK_ACTION, (params) => {
+            this.openHighlightLink(params);
+        });
+
+        // Edit menu for existing highlights in Reading View
+        this.registerDomEvent(document, "click", (evt) => this.handleHighlightClick(evt));
+        this.registerDomEvent(document, "contextmenu", (evt) => this.handleHighlightClick(evt));
+
         this.registerEvent(
             this.app.workspace.on("active-leaf-change", () => {
                 this.floatingManager.handleSelection();
@@ -150,6 +286,42 @@ export default class ReadingHighlighterPlugin extends Plugin {
             })
         );
 
+        this.registerEvent(
+            this.app.vault.on("rename", (file, oldPath) => {
+                this.history.rename(oldPath, file.path);
+                this.highlightIndex.rename(oldPath, file.path);
+                if (this.isMarkdownFile(file)) this.vaultScanner.renameFile(file, oldPath);
+            })
+        );
+
+        this.registerEvent(
+            this.app.vault.on("delete", (file) => {
+                this.history.forget(file.path);
+                this.highlightIndex.removeFile(file.path);
+                this.vaultScanner.removeFile(file.path);
+            })
+        );
+
+        // Keep the vault-wide highlight cache current. The initial scan only
+        // reads notes changed since the cache was last saved.
+        this.registerEvent(
+            this.app.vault.on("modify", (file) => {
+                if (this.isMarkdownFile(file)) this.vaultScanner.updateFile(file);
+            })
+        );
+
+        this.registerEvent(
+            this.app.metadataCache.on("changed", (file) => {
+                if (this.isMarkdownFile(file)) this.vaultScanner.updateFile(file);
+            })
+        );
+
+        this.app.workspace.onLayoutReady(() => {
+            this.vaultScanner.scanVault().catch((e) => {
+                console.error("Reader Highlighter Tags: Failed to scan vault.", e);
+            });
+        });
+
         if (Platform.isMobile) {
             const btn = this.addRibbonIcon("highlighter", "Highlight Selection", () => {
                 const view = this.getActiveReadingView();
@@ -207,6 +379,54 @@ export default class ReadingHighlighterPlugin extends Plugin {
             }
         });
 
+        this.addCommand({
+            id: "extract-to-note",
+            name: "Extract selection to new note (Reading View)",
+            checkCallback: (checking) => {
+                const view = this.getActiveReadingView();
+                if (!view) return false;
+                if (checking) return true;
+                this.extractToNote(view);
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "create-task-from-selection",
+            name: "Create task from selection (Reading View)",
+            checkCallback: (checking) => {
+                const view = this.getActiveReadingView();
+                if (!view) return false;
+                if (checking) return true;
+                this.createTaskFromSelection(view);
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "send-to-capture",
+            name: "Highlight and send selection to capture note (Reading View)",
+            checkCallback: (checking) => {
+                const view = this.getActiveReadingView();
+                if (!view) return false;
+                if (checking) return true;
+                this.sendToCapture(view);
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "link-selection",
+            name: "Link selection to note (Reading View)",
+            checkCallback: (checking) => {
+                const view = this.getActiveReadingView();
+                if (!view) return false;
+                if (checking) return true;
+                this.linkSelection(view);
+                return true;
+            },
+        });
+
         this.addCommand({
             id: "annotate-selection",
             name: "Add annotation to selection (Reading View)",
@@ -252,6 +472,27 @@ export default class ReadingHighlighterPlugin extends Plugin {
             },
         });
 
+        this.addCommand({
+            id: "redo-last-highlight",
+            name: "Redo last highlight",
+            callback: () => {
+                this.redoLastHighlight();
+            },
+        });
+
+        this.addCommand({
+            id: "show-highlight-history",
+            name: "Show highlight history",
+            callback: () => {
+                const path = this.getHistoryPath("undo") || this.getHistoryPath("redo");
+                if (!path) {
+                    new Notice("No highlight history yet.");
+                    return;
+                }
+                new HighlightHistoryModal(this, path).open();
+            },
+        });
+
         this.addCommand({
             id: "open-highlight-navigator",
             name: "Open highlight navigator",
@@ -292,6 +533,42 @@ export default class ReadingHighlighterPlugin extends Plugin {
             },
         });
 
+        this.addCommand({
+            id: "convert-highlight-syntax",
+            name: "Convert highlight syntax (== / <mark>) in vault",
+            callback: () => {
+                new ConvertSyntaxModal(this).open();
+            },
+        });
+
+        this.addCommand({
+            id: "undo-last-batch",
+            name: "Undo last vault-wide change",
+            callback: () => {
+                this.undoLastBatch();
+            },
+        });
+
+        this.addCommand({
+            id: "migrate-highlight-colors",
+            name: "Migrate highlight colors in vault",
+            callback: () => {
+                this.migrateHighlightColors();
+            },
+        });
+
+        this.addCommand({
+            id: "merge-adjacent-highlights",
+            name: "Merge adjacent highlights in note",
+            checkCallback: (checking) => {
+                const view = this.getActiveReadingView();
+                if (!view) return false;
+                if (checking) return true;
+                this.mergeAdjacentHighlightsInNote(view.file);
+                return true;
+            },
+        });
+
         this.addCommand({
             id: "resume-reading",
             name: "Resume reading (jump to last position)",
@@ -304,21 +581,74 @@ export default class ReadingHighlighterPlugin extends Plugin {
             },
         });
 
-        for (let i = 0; i < 9; i++) {
+        this.addCommand({
+            id: "pick-highlight-color",
+            name: "Pick highlight color...",
+            checkCallback: (checking) => {
+                if (!this.settings.enableColorPalette) return false;
+                const view = this.getActiveReadingView();
+                if (!view) return false;
+                if (checking) return true;
+                this.pickPaletteColor(view);
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "repeat-last-color",
+            name: "Repeat last highlight color",
+            checkCallback: (checking) => {
+                if (!this.settings.enableColorPalette) return false;
+                const view = this.getActiveReadingView();
+                const entry = this.getLastColor();
+                if (!view || !entry) return false;
+                if (checking) return true;
+                this.applyPaletteEntry(view, entry);
+                return true;
+            },
+        });
+
+        Object.keys(INLINE_FORMATS).forEach((format) => {
+            this.addCommand({
+                id: `${format}-selection`,
+                name: `Toggle ${FORMAT_LABELS[format].toLowerCase()} on selection (Reading View)`,
+                checkCallback: (checking) => {
+                    const view = this.getActiveReadingView();
+                    if (!view) return false;
+                    if (checking) return true;
+                    this.formatSelection(view, null, format);
+                    return true;
+                },
+            });
+        });
+
+        this.registerColorCommands();
+    }
+
+    /**
+     * One command per palette position; profiles may have more than nine
+     * colors. Called again when the palettes change, to add commands for new
+     * positions. Commands past a note's palette are hidden there.
+     */
+    registerColorCommands() {
+        const longestPalette = Math.max(9, this.settings.semanticColors.length,
+            ...this.settings.paletteProfiles.map((profile) => profile.colors.length));
+        for (let i = this.colorCommandCount; i < longestPalette; i++) {
             this.addCommand({
                 id: `apply-color-${i + 1}`,
                 name: `Apply highlight color ${i + 1}`,
-                hotkeys: [{ modifiers: ["Mod", "Shift"], key: String(i + 1) }],
+                hotkeys: i < 9 ? [{ modifiers: ["Mod", "Shift"], key: String(i + 1) }] : undefined,
                 checkCallback: (checking) => {
                     if (!this.settings.enableColorPalette) return false;
                     const view = this.getActiveReadingView();
-                    if (!view) return false;
+                    if (!view || i >= this.getPalette(view.file).length) return false;
                     if (checking) return true;
                     this.applyColorByIndex(view, i);
                     return true;
                 },
             });
         }
+        this.colorCommandCount = Math.max(this.colorCommandCount, longestPalette);
     }
 
     async activateResearchView() {
@@ -337,6 +667,49 @@ export default class ReadingHighlighterPlugin extends Plugin {
     onunload() {
         this.floatingManager.unload();
         this.app.workspace.detachLeavesOfType(HIGHLIGHT_NAVIGATOR_VIEW);
+        this.writeDataFile(HIGHLIGHT_INDEX_FILE, this.highlightIndex);
+        this.writeDataFile(SCAN_CACHE_FILE, this.vaultScanner);
+    }
+
+    isMarkdownFile(file: any): file is TFile {
+        return file instanceof TFile && file.extension === "md";
+    }
+
+    /**
+     * Read a JSON sidecar file from the plugin folder. Returns null when the
+     * file is missing or unreadable.
+     */
+    async readDataFile(name: string) {
+        const path = `${this.manifest.dir}/${name}`;
+        try {
+            if (await this.app.vault.adapter.exists(path)) {
+                return JSON.parse(await this.app.vault.adapter.read(path));
+            }
+        } catch (e) {
+            console.error(`Reader Highlighter Tags: Failed to load ${name}.`, e);
+        }
+        return null;
+    }
+
+    async writeDataFile(name: string, data: any) {
+        try {
+            await this.app.vault.adapter.write(`${this.manifest.dir}/${name}`, JSON.stringify(data));
+        } catch (e) {
+            console.error(`Reader Highlighter Tags: Failed to save ${name}.`, e);
+        }
+    }
+
+    requestIndexSave = debounce(() => this.writeDataFile(HIGHLIGHT_INDEX_FILE, this.highlightIndex), 2000, true);
+
+    requestScanCacheSave = debounce(() => this.writeDataFile(SCAN_CACHE_FILE, this.vaultScanner), 5000, true);
+
+    /**
+     * Parse the highlights of a file and assign them their stable ids.
+     * New highlights are stamped with `now`, which defaults to the file's mtime
+     * for content the plugin did not write itself.
+     */
+    indexHighlights(file: TFile, raw: string, now = file.stat.mtime) {
+        return this.highlightIndex.syncFile(file.path, getHighlightsFromContent(raw, { classes: this.paletteClasses }), now).highlights;
     }
 
     async loadSettings() {
@@ -344,12 +717,172 @@ export default class ReadingHighlighterPlugin extends Plugin {
         this.settings = Object.assign({}, DEFAULT_SETTINGS, loaded, {
             semanticColors: loaded.semanticColors?.length
                 ? loaded.semanticColors
-                : DEFAULT_SETTINGS.semanticColors
+                : DEFAULT_SETTINGS.semanticColors.map((item) => ({ ...item })),
+            paletteProfiles: loaded.paletteProfiles || [],
         });
+        // Ids let migrations follow colors that are reordered or renamed, so keep them stable
+        const addedIds = [this.settings.semanticColors, ...this.settings.paletteProfiles.map((profile) => profile.colors)]
+            .map((colors) => ensureColorIds(colors))
+            .includes(true);
+        if (addedIds) await this.saveData(this.settings);
+        // The palette existing highlights were written with, for remapping them later
+        if (!this.settings.paletteSnapshot?.length) {
+            this.settings.paletteSnapshot = this.getClassedPaletteColors();
+        }
+    }
+
+    /**
+     * Colors offered for a note: those of the profile its frontmatter names or
+     * whose folder contains it, else the default palette.
+     */
+    getPalette(file?: TFile | null): SemanticColor[] {
+        if (file && this.settings.paletteProfiles.length) {
+            const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter || {};
+            const profile = selectProfile(this.settings.paletteProfiles, file.path, frontmatter, this.settings.paletteFrontmatterKey);
+            if (profile?.colors.length) return profile.colors;
+        }
+        return this.settings.semanticColors;
+    }
+
+    /**
+     * Colors of every palette, for filters, queries and class names across notes.
+     */
+    getAllPaletteColors(): SemanticColor[] {
+        return allPaletteColors(this.settings.semanticColors, this.settings.paletteProfiles);
+    }
+
+    /**
+     * Copies of the colors of every palette with the class each is written
+     * with, for class CSS, migrations and the palette snapshot.
+     */
+    getClassedPaletteColors(): SemanticColor[] {
+        return classedPaletteColors(this.settings.semanticColors, this.settings.paletteProfiles);
+    }
+
+    /**
+     * Make class-based highlights (`<mark class="rh-…">`) follow the current
+     * palette: resolve them when parsing and regenerate their CSS. Classes of
+     * the last migrated palette keep working until the next migration.
+     */
+    applyPaletteClasses() {
+        const colors = this.getClassedPaletteColors();
+        const { paletteSnapshot } = this.settings;
+        this.paletteClasses = buildClassMap(colors, paletteSnapshot);
+        this.paletteStyleEl.textContent = buildPaletteCss(colors, paletteSnapshot);
+        this.vaultScanner?.refreshClassColors(this.paletteClasses);
+    }
+
+    /**
+     * Rewrite colored highlights in every note to the current palette and
+     * markup mode, remapping colors and classes edited since the last run.
+     */
+    async migrateHighlightColors() {
+        const colors = this.getClassedPaletteColors();
+        const options = { previous: this.settings.paletteSnapshot, useClasses: this.settings.colorMarkup === "class" };
+        const { notes, count, failed } = await this.rewriteNotes(this.app.vault.getMarkdownFiles(), "Migrate highlight colors",
+            (raw, file) => migrateColorMarkup(raw, colors, { ...options, preferredIds: this.getPalette(file).map((item) => item.id) }));
+        // Keep the old snapshot, so running it again still remaps the remaining notes
+        if (failed) return;
+        this.settings.paletteSnapshot = colors.map((item) => ({ ...item }));
+        await this.saveSettings();
+        this.applyPaletteClasses();
+        new Notice(count
+            ? `Migrated ${count} highlight${count === 1 ? "" : "s"} in ${notes} note${notes === 1 ? "" : "s"}.`
+            : "All highlights already match the palette.");
+    }
+
+    /**
+     * Apply `transform` to every note and record the changed notes as one
+     * undo batch. A failure stops the run; the notes rewritten before it are
+     * still recorded, so the batch can be undone.
+     * @returns {{notes: number, count: number, failed: boolean}} Changed notes, and the total count reported by `transform`
+     */
+    async rewriteNotes(files: TFile[], label: string, transform: (raw: string, file: TFile) => { content: string, count: number }) {
+        const changes = [];
+        let count = 0;
+        let failed = false;
+        try {
+            for (const file of files) {
+                const before = await this.app.vault.read(file);
+                const result = transform(before, file);
+                if (result.count === 0) continue;
+                await this.app.vault.modify(file, result.content);
+                changes.push({ path: file.path, before, after: result.content });
+                count += result.count;
+            }
+        } catch (e) {
+            console.error(`Reader Highlighter Tags: ${label} failed.`, e);
+            failed = true;
+            new Notice(changes.length
+                ? `${label} failed after ${changes.length} note${changes.length === 1 ? "" : "s"}. Use "Undo last vault-wide change" to revert them.`
+                : `${label} failed.`);
+        } finally {
+            this.history.recordBatch(label, changes);
+        }
+        return { notes: changes.length, count, failed };
+    }
+
+    async undoLastBatch() {
+        const batch = this.history.latestBatch();
+        if (!batch) {
+            new Notice("No vault-wide change to undo.");
+            return false;
+        }
+        let skipped = 0;
+        for (const entry of batch.files) {
+            const file = this.app.vault.getAbstractFileByPath(entry.path);
+            const current = file instanceof TFile ? await this.app.vault.read(file) : null;
+            const content = current === null ? null : this.history.previewBatchUndo(entry, current).content;
+            if (!(file instanceof TFile) || content === null) {
+                skipped++;
+                continue;
+            }
+            await this.app.vault.modify(file, content);
+        }
+        this.history.commitBatch();
+        new Notice(skipped
+            ? `Undone: ${batch.label}. ${skipped} note${skipped === 1 ? " was" : "s were"} edited since and left unchanged.`
+            : `Undone: ${batch.label}`);
+        return true;
+    }
+
+    /**
+     * Conversion between `==` and `<mark>` for the options of `ConvertSyntaxModal`.
+     */
+    getSyntaxConversion({ to, paletteIndex, folder }: { to: "markdown" | "html", paletteIndex: number, folder: string }) {
+        const colors = this.getAllPaletteColors();
+        const entry = colors[paletteIndex] || colors[0];
+        const markup = this.getPaletteMarkup(entry.color, entry);
+        const files = this.app.vault.getMarkdownFiles().filter((file) => !folder || file.path.startsWith(`${folder}/`));
+        const transform = (raw: string) => convertHighlightSyntax(raw, to, entry.color, markup);
+        return { files, transform };
+    }
+
+    /**
+     * Dry run of a syntax conversion: the notes that would change and how many highlights each.
+     */
+    async previewSyntaxConversion(options: { to: "markdown" | "html", paletteIndex: number, folder: string }) {
+        const { files, transform } = this.getSyntaxConversion(options);
+        const preview = [];
+        for (const file of files) {
+            const { count } = transform(await this.app.vault.cachedRead(file));
+            if (count > 0) preview.push({ file, count });
+        }
+        return preview;
+    }
+
+    async convertSyntaxInVault(options: { to: "markdown" | "html", paletteIndex: number, folder: string }) {
+        const { files, transform } = this.getSyntaxConversion(options);
+        const { notes, count, failed } = await this.rewriteNotes(files, options.to === "html" ? "Convert to <mark>" : "Convert to ==", transform);
+        if (failed) return;
+        new Notice(count
+            ? `Converted ${count} highlight${count === 1 ? "" : "s"} in ${notes} note${notes === 1 ? "" : "s"}. Use "Undo last vault-wide change" to revert.`
+            : "No highlights to convert.");
     }
 
     async saveSettings() {
         await this.saveData(this.settings);
+        this.registerColorCommands();
         this.floatingManager.refresh();
     }
 
@@ -461,28 +994,69 @@ export default class ReadingHighlighterPlugin extends Plugin {
         return foundIndex;
     }
 
-    async saveUndoState(file: TFile) {
-        this.lastModification = {
-            file: file,
-            original: await this.app.vault.read(file),
-        };
+    async recordHistory(file: TFile, label: string, action: () => Promise<void>) {
+        const before = await this.app.vault.read(file);
+        await action();
+        const after = await this.app.vault.read(file);
+        this.history.record(file.path, before, after, label);
     }
 
-    async undoLastHighlight() {
-        if (!this.lastModification) {
-            new Notice("Nothing to undo.");
-            return;
+    /**
+     * Prefer the active note's history; otherwise fall back to the note that
+     * was modified most recently.
+     */
+    getHistoryPath(kind: "undo" | "redo") {
+        const activePath = this.app.workspace.getActiveFile()?.path;
+        if (activePath && (kind === "undo" ? this.history.canUndo(activePath) : this.history.canRedo(activePath))) {
+            return activePath;
+        }
+        return this.history.latestPath(kind);
+    }
+
+    async undoLastHighlight(path = this.getHistoryPath("undo")) {
+        return this.stepHistory("undo", path);
+    }
+
+    async redoLastHighlight(path = this.getHistoryPath("redo")) {
+        return this.stepHistory("redo", path);
+    }
+
+    async stepHistory(kind: "undo" | "redo", path: string | null) {
+        if (!path) {
+            new Notice(kind === "undo" ? "Nothing to undo." : "Nothing to redo.");
+            return false;
+        }
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (!(file instanceof TFile)) {
+            this.history.forget(path);
+            new Notice("The note for this history entry no longer exists.");
+            return false;
         }
         try {
-            await this.app.vault.modify(
-                this.lastModification.file,
-                this.lastModification.original
-            );
-            new Notice("Undone last highlight.");
-            this.lastModification = null;
+            const current = await this.app.vault.read(file);
+            const plan = kind === "undo"
+                ? this.history.previewUndo(path, current)
+                : this.history.previewRedo(path, current);
+            if (!plan) {
+                new Notice(kind === "undo" ? "Nothing to undo." : "Nothing to redo.");
+                return false;
+            }
+            if (plan.content === null) {
+                new UndoConflictModal(this.app, kind, plan.entry, plan.conflicts, () => {
+                    this.history.drop(path, kind);
+                    new Notice(`Skipped: ${plan.entry.label}`);
+                }).open();
+                return false;
+            }
+            await this.app.vault.modify(file, plan.content);
+            if (kind === "undo") this.history.commitUndo(path);
+            else this.history.commitRedo(path);
+            new Notice(`${kind === "undo" ? "Undone" : "Redone"}: ${plan.entry.label} (${file.basename})`);
+            return true;
         } catch (err) {
-            new Notice("Failed to undo.");
+            new Notice(`Failed to ${kind}.`);
             console.error(err);
+            return false;
         }
     }
 
@@ -509,7 +1083,6 @@ export default class ReadingHighlighterPlugin extends Plugin {
         }
 
         const targetFile = result.file;
-        await this.saveUndoState(targetFile);
 
         let mode = "highlight";
         let payload = "";
@@ -518,7 +1091,9 @@ export default class ReadingHighlighterPlugin extends Plugin {
             payload = this.settings.highlightColor;
         }
 
-        await this.applyMarkdownModification(targetFile, "", result.start, result.end, mode, payload);
+        await this.recordHistory(targetFile, "Highlight", () =>
+            this.applyMarkdownModification(targetFile, "", result.start, result.end, mode, payload)
+        );
         this.restoreScroll(view, scrollPos);
         sel?.removeAllRanges();
 
@@ -528,10 +1103,83 @@ export default class ReadingHighlighterPlugin extends Plugin {
         new Notice("Highlighted!");
     }
 
+    /**
+     * Toggle bold, italic, strikethrough or inline code on the selection,
+     * located in the source like a highlight.
+     */
+    async formatSelection(view: MarkdownView, selectionSnapshot: any, format: string) {
+        const sel = window.getSelection();
+        const request = this.buildSelectionRequest(view, selectionSnapshot);
+        if (!request) {
+            new Notice("No text selected.");
+            return;
+        }
+        const scrollPos = getScroll(view);
+
+        const result = await this.logic.locateSelection(
+            view.file,
+            view,
+            request.snippet,
+            request.contextText,
+            request.occurrenceIndex
+        );
+        if (!result) {
+            this.handleSelectionFailure(view, request, "formatSelection", format);
+            return;
+        }
+
+        const targetFile = result.file;
+        await this.recordHistory(targetFile, FORMAT_LABELS[format], () =>
+            this.applyMarkdownModification(targetFile, "", result.start, result.end, format)
+        );
+        this.restoreScroll(view, scrollPos);
+        sel?.removeAllRanges();
+
+        if (this.settings.enableHaptics && Platform.isMobile) {
+            (navigator as any).vibrate?.(10);
+        }
+    }
+
     async applyColorByIndex(view: MarkdownView, index: number, selectionSnapshot?: any) {
-        if (index < 0 || index >= this.settings.semanticColors.length) return;
-        const palette = this.settings.semanticColors[index];
-        await this.applyColorHighlight(view, palette.color, "", selectionSnapshot);
+        const entry = this.getPalette(view.file)[index];
+        if (!entry) return;
+        await this.applyPaletteEntry(view, entry, selectionSnapshot);
+    }
+
+    /**
+     * Apply a palette color with its bound tags and remember it for "Repeat
+     * last highlight color".
+     */
+    async applyPaletteEntry(view: MarkdownView, entry: SemanticColor, selectionSnapshot?: any) {
+        if (entry.id && entry.id !== this.settings.lastColorId) {
+            this.settings.lastColorId = entry.id;
+            // Not saveSettings: remembering the color needs no toolbar refresh
+            await this.saveData(this.settings);
+        }
+        await this.applyColorHighlight(view, entry, selectionSnapshot);
+    }
+
+    getLastColor(): SemanticColor | null {
+        const { lastColorId } = this.settings;
+        return lastColorId ? this.getAllPaletteColors().find((item) => item.id === lastColorId) || null : null;
+    }
+
+    /**
+     * Choose a color of the note's palette by meaning. The selection is
+     * snapshotted first, since focusing the picker clears it.
+     */
+    pickPaletteColor(view: MarkdownView) {
+        const sel = window.getSelection();
+        const selectionSnapshot = sel && !sel.isCollapsed && sel.rangeCount > 0
+            ? { text: sel.toString(), range: sel.getRangeAt(0).cloneRange() }
+            : null;
+        if (!selectionSnapshot?.text.trim()) {
+            new Notice("No text selected.");
+            return;
+        }
+        new PaletteSuggestModal(this, this.getPalette(view.file), (entry: SemanticColor) => {
+            this.applyPaletteEntry(view, entry, selectionSnapshot);
+        }).open();
     }
 
     async savePdfHighlight(view: View & { file?: TFile }, selectionSnapshot: any, mode: string, payload: any) {
@@ -549,9 +1197,9 @@ export default class ReadingHighlighterPlugin extends Plugin {
         let highlightOutput = snippet.trim();
         if (mode === "color") {
             const index = typeof payload === "number" ? payload : parseInt(payload);
-            const palette = this.settings.semanticColors[index];
+            const palette = this.getPalette(view.file)[index];
             if (palette) {
-                highlightOutput = `<mark style="background: ${palette.color}">${highlightOutput}</mark>`;
+                highlightOutput = formatHighlight(highlightOutput, palette.color, this.getPaletteMarkup(palette.color, palette));
             }
         } else if (mode === "action") {
             if (payload === "highlightSelection") {
@@ -638,13 +1286,262 @@ export default class ReadingHighlighterPlugin extends Plugin {
             notice.hide();
             new Notice(`Successfully extracted ${pdf.numPages} pages.`);
         } catch (e) {
-            console.error("Full PDF extraction failed", e);
-            notice.hide();
-            new Notice("Failed to extract PDF text.");
+            console.error("Full PDF extraction failed", e);
+            notice.hide();
+            new Notice("Failed to extract PDF text.");
+        }
+    }
+
+    async tagSelection(view: MarkdownView, selectionSnapshot?: any) {
+        const request = this.buildSelectionRequest(view, selectionSnapshot);
+        if (!request) {
+            new Notice("No text selected.");
+            return;
+        }
+        const scrollPos = getScroll(view);
+
+        const result = await this.logic.locateSelection(
+            view.file,
+            view,
+            request.snippet,
+            request.contextText,
+            request.occurrenceIndex
+        );
+
+        if (!result) {
+            this.handleSelectionFailure(view, request, "tagSelection");
+            return;
+        }
+
+        const targetFile = result.file;
+
+        new TagSuggestModal(this, async (tag) => {
+            const newResult = await this.logic.locateSelection(
+                view.file,
+                view,
+                request.snippet,
+                request.contextText,
+                request.occurrenceIndex
+            );
+            if (!newResult) {
+                new Notice("Selection lost - file may have changed.");
+                return;
+            }
+
+            if (tag && this.settings.enableSmartTagSuggestions) {
+                this.addRecentTag(tag);
+            }
+
+            // A tag bound to a palette color also applies that color
+            const bound = this.settings.enableColorPalette
+                ? findTagColor(this.getPalette(view.file), tag.split(/\s+/).filter(Boolean))
+                : null;
+            await this.recordHistory(targetFile, "Tag", () => bound
+                ? this.applyMarkdownModification(targetFile, "", newResult.start, newResult.end, "color", bound.color, tag, bound)
+                : this.applyMarkdownModification(targetFile, "", newResult.start, newResult.end, "tag", tag)
+            );
+            this.restoreScroll(view, scrollPos);
+            window.getSelection()?.removeAllRanges();
+        }).open();
+    }
+
+    addRecentTag(tag: string) {
+        const cleanTag = tag.replace(/^#/, "").trim();
+        if (!cleanTag) return;
+        this.settings.recentTags = this.settings.recentTags.filter(t => t !== cleanTag);
+        this.settings.recentTags.unshift(cleanTag);
+        if (this.settings.recentTags.length > this.settings.maxRecentTags) {
+            this.settings.recentTags = this.settings.recentTags.slice(0, this.settings.maxRecentTags);
+        }
+        this.saveData(this.settings);
+    }
+
+    async annotateSelection(view: MarkdownView, selectionSnapshot?: any) {
+        const request = this.buildSelectionRequest(view, selectionSnapshot);
+        if (!request) {
+            new Notice("No text selected.");
+            return;
+        }
+        const scrollPos = getScroll(view);
+
+        const result = await this.logic.locateSelection(
+            view.file,
+            view,
+            request.snippet,
+            request.contextText,
+            request.occurrenceIndex
+        );
+
+        if (!result) {
+            this.handleSelectionFailure(view, request, "annotateSelection");
+            return;
+        }
+
+        const targetFile = result.file;
+
+        new AnnotationModal(this.app, async (comment) => {
+            const newResult = await this.logic.locateSelection(
+                view.file,
+                view,
+                request.snippet,
+                request.contextText,
+                request.occurrenceIndex
+            );
+            if (!newResult) {
+                new Notice("Selection lost - file may have changed.");
+                return;
+            }
+
+            await this.recordHistory(targetFile, "Annotation", async () => {
+                const currentRaw = await this.app.vault.read(targetFile);
+                await this.applyAnnotation(targetFile, currentRaw, newResult.start, newResult.end, comment);
+            });
+            this.restoreScroll(view, scrollPos);
+            window.getSelection()?.removeAllRanges();
+            new Notice("Annotation added!");
+        }).open();
+    }
+
+    /**
+     * Create a note from the selection. The passage is highlighted and given
+     * a block id, and the note's template can link back to it with `{{link}}`.
+     */
+    async extractToNote(view: MarkdownView, selectionSnapshot?: any) {
+        const request = this.buildSelectionRequest(view, selectionSnapshot);
+        if (!request) {
+            new Notice("No text selected.");
+            return;
+        }
+        const scrollPos = getScroll(view);
+
+        const result = await this.logic.locateSelection(
+            view.file,
+            view,
+            request.snippet,
+            request.contextText,
+            request.occurrenceIndex
+        );
+        if (!result) {
+            this.handleSelectionFailure(view, request, "extractToNote");
+            return;
+        }
+
+        const sourceFile = result.file;
+        const frontmatter = this.app.metadataCache.getFileCache(sourceFile)?.frontmatter || {};
+        const excerpt = this.toNoteName(request.snippet.split(/\r?\n/).find((line: string) => line.trim()) || "");
+        const suggested = this.toNoteName(this.expandQuoteTemplate(sourceFile, excerpt, frontmatter, this.settings.atomicNoteNameTemplate));
+
+        new TextPromptModal(this.app, { title: "New Note from Selection", placeholder: "Note name", value: suggested, submitText: "Create" }, async (name: string) => {
+            const newResult = await this.logic.locateSelection(
+                view.file,
+                view,
+                request.snippet,
+                request.contextText,
+                request.occurrenceIndex
+            );
+            if (!newResult) {
+                new Notice("Selection lost - file may have changed.");
+                return;
+            }
+
+            const path = await this.getAvailableNotePath(this.settings.atomicNoteFolder || sourceFile.parent?.path || "", this.toNoteName(name));
+            const blockId = await this.highlightWithBlockId(sourceFile, newResult.start, newResult.end, "Extract to note");
+            const quotedText = request.snippet.trim().split(/\r?\n/).join("\n> ");
+            const body = this.expandQuoteTemplate(sourceFile, quotedText, frontmatter, this.settings.atomicNoteTemplate, this.getBlockLinks(sourceFile, blockId));
+            try {
+                const note = await this.app.vault.create(path, body);
+                new Notice(`Created ${note.basename}.`);
+            } catch (e) {
+                console.error("Reader Highlighter Tags: Failed to create note.", e);
+                new Notice("Failed to create note.");
+            }
+            this.restoreScroll(view, scrollPos);
+            window.getSelection()?.removeAllRanges();
+        }).open();
+    }
+
+    /**
+     * Highlight [start, end) of `file` and make sure its block has an id.
+     * @returns The block id, or "" if the highlight could not be found
+     */
+    async highlightWithBlockId(file: TFile, start: number, end: number, label: string,
+        highlightColor = this.settings.enableColorHighlighting ? this.settings.highlightColor : "") {
+        let blockId = "";
+        await this.recordHistory(file, label, async () => {
+            const written = await this.applyMarkdownModification(file, "", start, end, highlightColor ? "color" : "highlight", highlightColor);
+            const raw = await this.app.vault.read(file);
+            const highlight = getHighlightsFromContent(raw, { classes: this.paletteClasses }).filter((h: any) => h.start >= written.start && h.end <= written.end).pop();
+            if (!highlight) return;
+            const withId = ensureBlockId(raw, highlight, createBlockId());
+            blockId = withId.blockId;
+            if (withId.content !== raw) await this.app.vault.modify(file, withId.content);
+        });
+        return blockId;
+    }
+
+    /**
+     * Template variables pointing at block `blockId` of `file`: `link` to it
+     * and `embed` of it (both fall back to the whole note).
+     */
+    getBlockLinks(file: TFile, blockId: string) {
+        const target = blockId ? `${file.path}#^${blockId}` : file.path;
+        return { link: `[[${target}|${file.basename}]]`, embed: `![[${target}]]` };
+    }
+
+    /**
+     * Highlight the selection and append it to the capture note (today's
+     * daily note or the inbox), under a heading for its source note.
+     */
+    async sendToCapture(view: MarkdownView, selectionSnapshot?: any) {
+        const request = this.buildSelectionRequest(view, selectionSnapshot);
+        if (!request) {
+            new Notice("No text selected.");
+            return;
+        }
+        const scrollPos = getScroll(view);
+
+        const result = await this.logic.locateSelection(
+            view.file,
+            view,
+            request.snippet,
+            request.contextText,
+            request.occurrenceIndex
+        );
+        if (!result) {
+            this.handleSelectionFailure(view, request, "sendToCapture");
+            return;
+        }
+
+        const sourceFile = result.file;
+        let captureFile: TFile;
+        try {
+            captureFile = await this.getCaptureFile();
+        } catch (e) {
+            console.error("Reader Highlighter Tags: Failed to open capture note.", e);
+            new Notice("Failed to open capture note.");
+            return;
         }
+
+        const blockId = await this.highlightWithBlockId(sourceFile, result.start, result.end, "Send to capture");
+        const frontmatter = this.app.metadataCache.getFileCache(sourceFile)?.frontmatter || {};
+        const quotedText = request.snippet.trim().split(/\r?\n/).join("\n> ");
+        const entry = this.expandQuoteTemplate(sourceFile, quotedText, frontmatter, this.settings.captureTemplate, this.getBlockLinks(sourceFile, blockId));
+        const heading = `## [[${this.app.metadataCache.fileToLinktext(sourceFile, captureFile.path, true)}]]`;
+        await this.recordHistory(captureFile, "Capture", async () => {
+            const raw = await this.app.vault.read(captureFile);
+            await this.app.vault.modify(captureFile, appendToSection(raw, heading, entry));
+        });
+
+        this.restoreScroll(view, scrollPos);
+        window.getSelection()?.removeAllRanges();
+        new Notice(`Sent to ${captureFile.basename}.`);
     }
 
-    async tagSelection(view: MarkdownView, selectionSnapshot?: any) {
+    /**
+     * Add a task for the selection to the tasks note, linking back to the
+     * passage, which is highlighted in the action item color.
+     */
+    async createTaskFromSelection(view: MarkdownView, selectionSnapshot?: any) {
         const request = this.buildSelectionRequest(view, selectionSnapshot);
         if (!request) {
             new Notice("No text selected.");
@@ -659,16 +1556,13 @@ export default class ReadingHighlighterPlugin extends Plugin {
             request.contextText,
             request.occurrenceIndex
         );
-
         if (!result) {
-            this.handleSelectionFailure(view, request, "tagSelection");
+            this.handleSelectionFailure(view, request, "createTaskFromSelection");
             return;
         }
 
-        const targetFile = result.file;
-        await this.saveUndoState(targetFile);
-
-        new TagSuggestModal(this, async (tag) => {
+        const sourceFile = result.file;
+        new TaskModal(this.app, { text: request.snippet, tags: this.settings.taskTags }, async (task: { text: string, due: string, tags: string[] }) => {
             const newResult = await this.logic.locateSelection(
                 view.file,
                 view,
@@ -681,28 +1575,85 @@ export default class ReadingHighlighterPlugin extends Plugin {
                 return;
             }
 
-            if (tag && this.settings.enableSmartTagSuggestions) {
-                this.addRecentTag(tag);
+            let taskFile: TFile;
+            try {
+                taskFile = await this.getOrCreateNote(this.settings.taskNotePath || "Tasks.md");
+            } catch (e) {
+                console.error("Reader Highlighter Tags: Failed to open tasks note.", e);
+                new Notice("Failed to open tasks note.");
+                return;
             }
 
-            await this.applyMarkdownModification(targetFile, "", newResult.start, newResult.end, "tag", tag);
+            const blockId = await this.highlightWithBlockId(sourceFile, newResult.start, newResult.end, "Task", this.settings.taskColor);
+            const { link } = this.getBlockLinks(sourceFile, blockId);
+            await this.recordHistory(taskFile, "Task", async () => {
+                const raw = await this.app.vault.read(taskFile);
+                await this.app.vault.modify(taskFile, appendLine(raw, formatTask({ ...task, link })));
+            });
+
             this.restoreScroll(view, scrollPos);
             window.getSelection()?.removeAllRanges();
+            new Notice(`Task added to ${taskFile.basename}.`);
         }).open();
     }
 
-    addRecentTag(tag: string) {
-        const cleanTag = tag.replace(/^#/, "").trim();
-        if (!cleanTag) return;
-        this.settings.recentTags = this.settings.recentTags.filter(t => t !== cleanTag);
-        this.settings.recentTags.unshift(cleanTag);
-        if (this.settings.recentTags.length > this.settings.maxRecentTags) {
-            this.settings.recentTags = this.settings.recentTags.slice(0, this.settings.maxRecentTags);
+    /**
+     * Today's daily note (as configured in the Daily notes core plugin) or the
+     * inbox note, created when missing.
+     */
+    async getCaptureFile(): Promise<TFile> {
+        if (this.settings.captureTarget !== "daily") {
+            return this.getOrCreateNote(this.settings.captureInboxPath || "Inbox.md");
         }
-        this.saveData(this.settings);
+        const options = (this.app as any).internalPlugins?.getPluginById?.("daily-notes")?.instance?.options || {};
+        const date = moment();
+        const name = date.format(options.format || "YYYY-MM-DD");
+        const path = options.folder ? `${options.folder}/${name}` : name;
+        // Once the note exists the Daily notes plugin no longer applies its template
+        return this.getOrCreateNote(path, () => this.getDailyNoteContent(options.template, date, name.substring(name.lastIndexOf("/") + 1), options.format || "YYYY-MM-DD"));
     }
 
-    async annotateSelection(view: MarkdownView, selectionSnapshot?: any) {
+    /**
+     * Content of a new daily note: the Daily notes template, with its
+     * `{{title}}`, `{{date}}` and `{{time}}` variables filled in as that
+     * plugin does, including formats like `{{date:dddd}}`.
+     */
+    async getDailyNoteContent(templatePath: string | undefined, date: ReturnType<typeof moment>, title: string, dateFormat: string) {
+        if (!templatePath?.trim()) return "";
+        const path = normalizePath(templatePath.endsWith(".md") ? templatePath : `${templatePath}.md`);
+        const template = this.app.vault.getAbstractFileByPath(path);
+        if (!(template instanceof TFile)) {
+            new Notice(`Daily note template not found: ${path}`);
+            return "";
+        }
+        const raw = await this.app.vault.read(template);
+        return raw
+            .replace(/{{\s*title\s*}}/gi, title)
+            .replace(/{{\s*(date|time)\s*(?::(.*?))?}}/gi, (match, key, format) =>
+                date.format(format?.trim() || (key.toLowerCase() === "date" ? dateFormat : "HH:mm")));
+    }
+
+    /**
+     * The note at `path` (".md" may be left out), created with its folder
+     * when missing. `initialContent` gives the content of a new note.
+     */
+    async getOrCreateNote(path: string, initialContent: () => Promise<string> | string = () => ""): Promise<TFile> {
+        path = normalizePath(path.endsWith(".md") ? path : `${path}.md`);
+        const existing = this.app.vault.getAbstractFileByPath(path);
+        if (existing instanceof TFile) return existing;
+
+        const folder = path.includes("/") ? path.substring(0, path.lastIndexOf("/")) : "";
+        if (folder && !(this.app.vault.getAbstractFileByPath(folder) instanceof TFolder)) {
+            await this.app.vault.createFolder(folder);
+        }
+        return this.app.vault.create(path, await initialContent());
+    }
+
+    /**
+     * Turn the selection into a wikilink to a note picked from a suggester,
+     * keeping the selected text as the link's display text.
+     */
+    async linkSelection(view: MarkdownView, selectionSnapshot?: any) {
         const request = this.buildSelectionRequest(view, selectionSnapshot);
         if (!request) {
             new Notice("No text selected.");
@@ -717,16 +1668,13 @@ export default class ReadingHighlighterPlugin extends Plugin {
             request.contextText,
             request.occurrenceIndex
         );
-
         if (!result) {
-            this.handleSelectionFailure(view, request, "annotateSelection");
+            this.handleSelectionFailure(view, request, "linkSelection");
             return;
         }
 
         const targetFile = result.file;
-        await this.saveUndoState(targetFile);
-
-        new AnnotationModal(this.app, async (comment) => {
+        new NoteSuggestModal(this.app, async (target: TFile | string) => {
             const newResult = await this.logic.locateSelection(
                 view.file,
                 view,
@@ -739,33 +1687,183 @@ export default class ReadingHighlighterPlugin extends Plugin {
                 return;
             }
 
-            const currentRaw = await this.app.vault.read(targetFile);
-            await this.applyAnnotation(targetFile, currentRaw, newResult.start, newResult.end, comment);
+            const linktext = typeof target === "string"
+                ? this.toNoteName(target)
+                : this.app.metadataCache.fileToLinktext(target, targetFile.path, true);
+            if (!linktext) return;
+            await this.recordHistory(targetFile, "Link", () =>
+                this.applyMarkdownModification(targetFile, "", newResult.start, newResult.end, "link", linktext)
+            );
             this.restoreScroll(view, scrollPos);
             window.getSelection()?.removeAllRanges();
-            new Notice("Annotation added!");
         }).open();
     }
 
+    /**
+     * A file name from free text: characters links and file systems reject
+     * are dropped, and long text is cut at a word boundary.
+     */
+    toNoteName(text: string) {
+        const clean = text.replace(/[\\/:*?"<>|#^[\]]/g, "").replace(/\s+/g, " ").trim();
+        if (clean.length <= 60) return clean;
+        const cut = clean.substring(0, 60);
+        return (cut.includes(" ") ? cut.substring(0, cut.lastIndexOf(" ")) : cut).trim();
+    }
+
+    /**
+     * Path for a new note named `name` in `folder`, numbered when taken. The
+     * folder is created if needed.
+     */
+    async getAvailableNotePath(folder: string, name: string) {
+        const folderPath = normalizePath(folder || "/");
+        if (folderPath !== "/" && !(this.app.vault.getAbstractFileByPath(folderPath) instanceof TFolder)) {
+            await this.app.vault.createFolder(folderPath);
+        }
+        const base = name || "Untitled";
+        const prefix = folderPath === "/" ? "" : `${folderPath}/`;
+        let path = `${prefix}${base}.md`;
+        for (let i = 1; this.app.vault.getAbstractFileByPath(path); i++) {
+            path = `${prefix}${base} ${i}.md`;
+        }
+        return path;
+    }
+
     async applyAnnotation(file: TFile, raw: string, start: number, end: number, comment: string) {
         if (!raw) {
             raw = await this.app.vault.read(file);
         }
-        const footnotePattern = /\[\^(\d+)\]/g;
-        let maxNumber = 0;
-        let match;
-        while ((match = footnotePattern.exec(raw)) !== null) {
-            const num = parseInt(match[1]);
-            if (num > maxNumber) maxNumber = num;
-        }
-        const footnoteNum = maxNumber + 1;
-        const beforeSelection = raw.substring(0, end);
-        const afterSelection = raw.substring(end);
-        const footnoteRef = `[^${footnoteNum}]`;
-        const footnoteDef = `\n\n[^${footnoteNum}]: ${comment}`;
-        let newContent = beforeSelection + footnoteRef + afterSelection;
-        newContent = newContent.trimEnd() + footnoteDef + "\n";
+        this.indexHighlights(file, raw);
+        const newContent = insertFootnote(raw, end, comment);
         await this.app.vault.modify(file, newContent);
+        this.indexHighlights(file, newContent, Date.now());
+    }
+
+    /**
+     * Replace the text of the annotation (footnote) attached to a highlight.
+     * An empty comment deletes the annotation.
+     */
+    async editAnnotation(file: TFile, footnote: string, comment: string) {
+        let found = true;
+        await this.recordHistory(file, comment ? "Edit annotation" : "Delete annotation", async () => {
+            const raw = await this.app.vault.read(file);
+            const newContent = comment ? updateFootnote(raw, footnote, comment) : removeFootnote(raw, footnote);
+            if (newContent === null) {
+                found = false;
+                return;
+            }
+            this.indexHighlights(file, raw);
+            await this.app.vault.modify(file, newContent);
+            this.indexHighlights(file, newContent, Date.now());
+        });
+        if (!found) {
+            new Notice("Annotation not found - the note may have changed.");
+        } else {
+            new Notice(comment ? "Annotation updated." : "Annotation deleted.");
+        }
+    }
+
+    /**
+     * Prompt for a new annotation text, pre-filled with the current one.
+     */
+    promptEditAnnotation(file: TFile, footnote: string, current: string) {
+        new AnnotationModal(this.app, (comment) => this.editAnnotation(file, footnote, comment), {
+            title: "Edit Annotation",
+            value: current,
+            submitText: "Save",
+        }).open();
+    }
+
+    /**
+     * Rewrite a single existing highlight. `target` is a highlight as listed by
+     * a view; it is looked up again in the current content before `edit` runs.
+     */
+    async editHighlight(file: TFile, target: any, label: string, edit: (raw: string, h: any) => string | null) {
+        let found = true;
+        await this.recordHistory(file, label, async () => {
+            const raw = await this.app.vault.read(file);
+            const current = findHighlight(this.indexHighlights(file, raw), target);
+            const newContent = current ? edit(raw, current) : null;
+            if (newContent === null) {
+                found = false;
+                return;
+            }
+            if (newContent === raw) return;
+            await this.app.vault.modify(file, newContent);
+            this.indexHighlights(file, newContent, Date.now());
+        });
+        if (!found) {
+            new Notice("Highlight not found - the note may have changed.");
+        }
+        return found;
+    }
+
+    /**
+     * Change the color of an existing highlight, adding `tags` (e.g. those
+     * bound to the new color) to its prefix. A null color converts it to `==`.
+     */
+    async recolorExistingHighlight(file: TFile, target: any, color: string | null, markup = this.getPaletteMarkup(color), tags: string[] = []) {
+        return this.editHighlight(file, target, color ? "Recolor" : "Convert to ==", (raw, h) => {
+            const hadId = raw.substring(h.start, h.end).includes("data-hl-id");
+            // Recolor first: the tag prefix sits before the offsets it changes
+            const recolored = recolorHighlight(raw, h, color, { ...markup, id: hadId || this.settings.writeHighlightIds ? h.id : null });
+            const missing = tags.filter((tag) => !(h.tags || []).includes(tag));
+            return missing.length ? setHighlightTags(recolored, h, [...(h.tags || []), ...missing]) : recolored;
+        });
+    }
+
+    /**
+     * Open the highlight edit menu for a rendered highlight. Right-click always
+     * opens it; a plain click only when enabled and nothing is selected.
+     */
+    async handleHighlightClick(evt: MouseEvent) {
+        const target = evt.target as HTMLElement;
+        const markEl = target?.closest?.("mark") as HTMLElement | null;
+        if (!markEl || target.closest("a")) return;
+        const view = this.getActiveReadingView();
+        if (!view || !view.file || !view.contentEl.contains(markEl)) return;
+        if (evt.type === "click") {
+            const sel = window.getSelection();
+            if (!this.settings.enableHighlightMenu || (sel && !sel.isCollapsed)) return;
+        }
+        evt.preventDefault();
+
+        const located = await this.locateRenderedHighlight(view, markEl);
+        if (!located) {
+            new Notice("Could not find this highlight in the note.");
+            return;
+        }
+        showHighlightMenu(this, located.file, located.highlight, evt);
+    }
+
+    /**
+     * Map a rendered `<mark>` element back to its highlight in the source.
+     */
+    async locateRenderedHighlight(view: MarkdownView, markEl: HTMLElement) {
+        const id = markEl.getAttribute("data-hl-id");
+        const record = id ? this.highlightIndex.get(id) : null;
+        if (record) {
+            const file = this.app.vault.getAbstractFileByPath(record.path);
+            if (file instanceof TFile) {
+                const highlight = this.indexHighlights(file, await this.app.vault.read(file)).find((h) => h.id === id);
+                if (highlight) return { file, highlight };
+            }
+        }
+
+        const contextElement = this.getClosestAllowedBlock(markEl, view.contentEl);
+        const result = await this.logic.locateSelection(
+            view.file,
+            view,
+            markEl.textContent || "",
+            contextElement ? this.getElementText(contextElement) : null,
+            this.getSelectionOccurrence(view, contextElement)
+        );
+        if (!result) return null;
+
+        const highlights = this.indexHighlights(result.file, await this.app.vault.read(result.file));
+        const highlight =
+            highlights.find((h) => h.contentStart <= result.start && result.end <= h.contentEnd) ||
+            highlights.find((h) => h.start < result.end && result.start < h.end);
+        return highlight ? { file: result.file, highlight } : null;
     }
 
     async removeHighlightSelection(view: MarkdownView, selectionSnapshot?: any) {
@@ -791,25 +1889,56 @@ export default class ReadingHighlighterPlugin extends Plugin {
         }
 
         const targetFile = result.file;
-        await this.saveUndoState(targetFile);
-        await this.applyMarkdownModification(targetFile, "", result.start, result.end, "remove");
-        new Notice("Highlighting removed.");
+        let count = 0;
+        await this.recordHistory(targetFile, "Remove highlight", async () => {
+            count = await this.eraseHighlightRange(targetFile, result.start, result.end);
+        });
+        new Notice(count ? "Highlighting removed." : "No highlighted text in the selection.");
         this.restoreScroll(view, scrollPos);
         sel?.removeAllRanges();
     }
 
+    /**
+     * Remove highlighting from exactly [start, end); the rest of each touched
+     * highlight stays highlighted. Returns the number of highlights touched.
+     */
+    async eraseHighlightRange(file: TFile, start: number, end: number) {
+        const raw = await this.app.vault.read(file);
+        this.indexHighlights(file, raw);
+        const { content, count } = eraseRange(raw, start, end);
+        if (count === 0) return 0;
+        await this.app.vault.modify(file, content);
+        this.indexHighlights(file, content, Date.now());
+        return count;
+    }
+
     async removeAllHighlights(view: MarkdownView) {
-        await this.saveUndoState(view.file);
-        let raw = await this.app.vault.read(view.file);
-        raw = raw.replace(/==(.*?)==/gs, "$1");
-        raw = raw.replace(/<mark[^>]*>(.*?)<\/mark>/gs, "$1");
-        await this.app.vault.modify(view.file, raw);
+        await this.recordHistory(view.file, "Remove all highlights", async () => {
+            let raw = await this.app.vault.read(view.file);
+            raw = raw.replace(/==(.*?)==/gs, "$1");
+            raw = raw.replace(/<mark[^>]*>(.*?)<\/mark>/gs, "$1");
+            await this.app.vault.modify(view.file, raw);
+        });
         new Notice("All highlights removed.");
     }
 
+    async mergeAdjacentHighlightsInNote(file: TFile) {
+        let merged = 0;
+        await this.recordHistory(file, "Merge highlights", async () => {
+            const raw = await this.app.vault.read(file);
+            this.indexHighlights(file, raw);
+            const { content, count } = mergeAdjacentHighlights(raw, this.paletteClasses);
+            merged = count;
+            if (count === 0) return;
+            await this.app.vault.modify(file, content);
+            this.indexHighlights(file, content, Date.now());
+        });
+        new Notice(merged ? `Merged ${merged} highlight${merged === 1 ? "" : "s"}.` : "No adjacent highlights to merge.");
+    }
+
     async exportHighlights(view: MarkdownView) {
         try {
-            const exportPath = await exportHighlightsToMD(this.app, view.file);
+            const exportPath = await exportHighlightsToMD(this.app, view.file, this.highlightIndex, { classes: this.paletteClasses });
             new Notice(`Highlights exported to ${exportPath}`);
             const exportFile = this.app.vault.getAbstractFileByPath(exportPath);
             if (exportFile instanceof TFile) {
@@ -840,7 +1969,11 @@ export default class ReadingHighlighterPlugin extends Plugin {
         sel?.removeAllRanges();
     }
 
-    async applyColorHighlight(view: MarkdownView, color: string, autoTag = "", selectionSnapshot?: any) {
+    /**
+     * Highlight the selection in a palette color. The entry, not just its
+     * color, is passed on: entries may share a color and differ in style.
+     */
+    async applyColorHighlight(view: MarkdownView, entry: SemanticColor, selectionSnapshot?: any) {
         const sel = window.getSelection();
         const request = this.buildSelectionRequest(view, selectionSnapshot);
         if (!request) return;
@@ -854,13 +1987,14 @@ export default class ReadingHighlighterPlugin extends Plugin {
             request.occurrenceIndex
         );
         if (!result) {
-            this.handleSelectionFailure(view, request, "applyColorHighlight", color);
+            this.handleSelectionFailure(view, request, "applyColorHighlight", entry);
             return;
         }
 
         const targetFile = result.file;
-        await this.saveUndoState(targetFile);
-        await this.applyMarkdownModification(targetFile, result.raw, result.start, result.end, "color", color, autoTag);
+        await this.recordHistory(targetFile, "Color highlight", () =>
+            this.applyMarkdownModification(targetFile, result.raw, result.start, result.end, "color", entry.color, entry.autoTag || "", entry)
+        );
         this.restoreScroll(view, scrollPos);
         sel?.removeAllRanges();
         new Notice("Highlighted!");
@@ -886,6 +2020,78 @@ export default class ReadingHighlighterPlugin extends Plugin {
         }
     }
 
+    /**
+     * Copy an `obsidian://` link that opens the note in Reading View at
+     * highlight `h`.
+     */
+    async copyHighlightLink(file: TFile, h: any) {
+        const uri = buildHighlightUri(this.app.vault.getName(), file.path, h);
+        if (await this.writeClipboardText(uri)) {
+            new Notice("Copied link to highlight.");
+        } else {
+            new Notice("Failed to copy link.");
+        }
+    }
+
+    /**
+     * Open the note of a highlight link in Reading View, scroll to the
+     * highlight and flash it. See `resolveHighlightLink` for the parameters.
+     */
+    async openHighlightLink(params: Record<string, string>) {
+        const name = params.file || "";
+        const file = this.app.vault.getAbstractFileByPath(name) ?? this.app.metadataCache.getFirstLinkpathDest(name, "");
+        if (!this.isMarkdownFile(file)) {
+            new Notice(`Note not found: ${name}`);
+            return;
+        }
+        const raw = await this.app.vault.read(file);
+        const target = resolveHighlightLink(this.indexHighlights(file, raw), raw, params);
+
+        const leaf = this.app.workspace.getLeavesOfType("markdown")
+            .find((item) => (item.view as MarkdownView).file?.path === file.path) ?? this.app.workspace.getLeaf(false);
+        await leaf.openFile(file, { active: true, state: { mode: "preview" }, eState: target ? { line: target.line } : {} });
+        this.app.workspace.revealLeaf(leaf);
+        if (!target) {
+            new Notice("Highlight not found - the note may have changed.");
+            return;
+        }
+        if (target.highlight && leaf.view instanceof MarkdownView) {
+            this.flashHighlight(leaf.view, target.highlight);
+        }
+    }
+
+    /**
+     * Scroll a rendered highlight into view and flash it. Reading View renders
+     * sections lazily, so this retries until the highlight appears.
+     */
+    flashHighlight(view: MarkdownView, h: any, attempts = 10) {
+        const normalize = (text: string) => text.replace(/\s+/g, " ").trim();
+        const find = () => {
+            const marks = Array.from(view.contentEl.querySelectorAll("mark")) as HTMLElement[];
+            const byId = h.id ? marks.find((el) => el.getAttribute("data-hl-id") === h.id) : null;
+            if (byId) return byId;
+            const text = normalize(h.text);
+            const matches = marks.filter((el) => normalize(el.textContent || "").startsWith(text));
+            // Reading View scrolled the highlight's line to the top
+            const top = view.contentEl.getBoundingClientRect().top;
+            const distance = (el: HTMLElement) => Math.abs(el.getBoundingClientRect().top - top);
+            return matches.sort((a, b) => distance(a) - distance(b))[0] || null;
+        };
+        window.setTimeout(() => {
+            const markEl = find();
+            if (!markEl) {
+                if (attempts > 1) this.flashHighlight(view, h, attempts - 1);
+                return;
+            }
+            markEl.scrollIntoView({ block: "center" });
+            markEl.removeClass("highlight-flash");
+            // Restart the animation when the same highlight is opened twice
+            void markEl.offsetWidth;
+            markEl.addClass("highlight-flash");
+            window.setTimeout(() => markEl.removeClass("highlight-flash"), 1600);
+        }, 100);
+    }
+
     async activateNavigatorView() {
         const existing = this.app.workspace.getLeavesOfType(HIGHLIGHT_NAVIGATOR_VIEW);
         if (existing.length) {
@@ -900,7 +2106,10 @@ export default class ReadingHighlighterPlugin extends Plugin {
         this.app.workspace.revealLeaf(leaf);
     }
 
-    expandQuoteTemplate(file: TFile, quotedText: string, frontmatter: any = {}) {
+    /**
+     * Fill a quote or note template. `extra` adds variables, e.g. `link`.
+     */
+    expandQuoteTemplate(file: TFile, quotedText: string, frontmatter: any = {}, template = this.settings.quoteTemplate, extra: Record<string, string> = {}) {
         const sourceUrl = String(frontmatter.url || frontmatter.source || frontmatter.link || "").replace(/#:~:text=[^&]+(&|$)/, "");
         const timestamp = this.formatTimestamp(new Date());
         const variables: Record<string, string> = {
@@ -911,8 +2120,9 @@ export default class ReadingHighlighterPlugin extends Plugin {
             time: timestamp,
             domain: this.extractDomain(sourceUrl),
             author: this.normalizeFrontmatterValue(frontmatter.author || frontmatter.authors || frontmatter.creator || ""),
+            ...extra,
         };
-        return this.settings.quoteTemplate.replace(/{{(text|file|path|date|time|domain|author)}}/g, (_, key) => variables[key] || "");
+        return template.replace(/{{(\w+)}}/g, (match, key) => key in variables ? variables[key] || "" : match);
     }
 
     async writeClipboardText(text: string) {
@@ -1049,10 +2259,57 @@ export default class ReadingHighlighterPlugin extends Plugin {
         return (trimmed.match(/\|/g) || []).length >= 2;
     }
 
-    async applyMarkdownModification(file: TFile, raw: string, start: number, end: number, mode: string, payload = "", autoTag = "") {
+    /**
+     * Wrap text in highlight markup: `<mark>` when a color is given (or color
+     * highlighting is on), `==` otherwise. `entry` is the palette color chosen,
+     * if any.
+     */
+    wrapHighlight(text: string, color = "", entry?: SemanticColor) {
+        if (!color && this.settings.enableColorHighlighting && this.settings.highlightColor) {
+            color = this.settings.highlightColor;
+        }
+        const id = color && this.settings.writeHighlightIds ? createHighlightId() : null;
+        return formatHighlight(text, color, { ...this.getPaletteMarkup(color, entry), id });
+    }
+
+    /**
+     * Style of palette `entry` (by default the first with this color, looking
+     * in the active note's palette first), and its class when colors are
+     * written as classes.
+     */
+    getPaletteMarkup(color: string | null, entry?: SemanticColor) {
+        if (!entry && color) {
+            const sameColor = (item: SemanticColor) => item.color.toLowerCase() === color.toLowerCase();
+            entry = this.getPalette(this.app.workspace.getActiveFile()).find(sameColor) || this.getAllPaletteColors().find(sameColor);
+        }
+        if (!entry) return { style: null, className: null };
+        // Classes of profile colors carry the profile's name, see `classedPaletteColors`
+        const profile = this.settings.paletteProfiles.find((item) => item.colors.includes(entry!));
+        const palette = profile ? profile.colors : this.settings.semanticColors;
+        return {
+            style: entry.style && entry.style !== "background" ? entry.style : null,
+            className: this.settings.colorMarkup === "class" ? paletteClassName(entry, palette.indexOf(entry), profile?.name) : null,
+        };
+    }
+
+    /**
+     * Apply a highlight, tag, inline format or link to [start, end) of the note.
+     * In "color" mode `entry` is the palette color of `payload`, when known.
+     * @returns The range of the rewritten text
+     */
+    async applyMarkdownModification(file: TFile, raw: string, start: number, end: number, mode: string, payload = "", autoTag = "", entry?: SemanticColor) {
         if (!raw) {
             raw = await this.app.vault.read(file);
         }
+        // Index the current state first so only the highlights written below get today's timestamp
+        this.indexHighlights(file, raw);
+        // Merge into touching highlights of the same color and split others around the selection
+        const isHighlightMode = mode === "highlight" || mode === "color" || mode === "tag";
+        let mergedTags: string[] = [];
+        if (isHighlightMode) {
+            const color = mode === "color" ? payload : (this.settings.enableColorHighlighting && this.settings.highlightColor) || null;
+            ({ content: raw, start, end, tags: mergedTags } = resolveOverlaps(raw, start, end, color, this.getPaletteMarkup(color, mode === "color" ? entry : undefined).style, this.paletteClasses));
+        }
         let expandedStart = start;
         let expandedEnd = end;
         let bodyStart = 0;
@@ -1062,12 +2319,26 @@ export default class ReadingHighlighterPlugin extends Plugin {
                 bodyStart = secondDash + 3;
             }
         }
-        let expanded = true;
+        const isFormatMode = Object.keys(INLINE_FORMATS).includes(mode);
+        // Code spans show their content literally, and link text should not take in
+        // surrounding punctuation, so these only take in an existing code span or link
+        let expanded = mode !== "code" && mode !== "link";
+        if (mode === "code" && raw[expandedStart - 1] === "`" && raw[expandedEnd] === "`" && expandedStart > bodyStart) {
+            expandedStart--;
+            expandedEnd++;
+        }
+        const linkOpen = mode === "link" ? raw.substring(bodyStart, expandedStart).match(/\[\[(?:[^\]|\n]*\\?\|)?$/) : null;
+        if (linkOpen && raw.startsWith("]]", expandedEnd)) {
+            expandedStart -= linkOpen[0].length;
+            expandedEnd += 2;
+        }
         while (expanded) {
             expanded = false;
             const preceding = raw.substring(0, expandedStart);
             const matchBack = preceding.match(/(<mark[^>]*>|\*\*|==|~~|\*|_|\[\[|\[\^[^\]]+\]:?\s?|[([{"'«“‘‹])$/);
-            if (matchBack && expandedStart > bodyStart) {
+            // Highlight markup next to a resolved selection belongs to a neighbouring highlight
+            const ownsBack = !(isHighlightMode && matchBack && /^(<mark|==)/.test(matchBack[0]));
+            if (matchBack && ownsBack && expandedStart > bodyStart) {
                 const newStart = expandedStart - matchBack[0].length;
                 if (newStart >= bodyStart) {
                     expandedStart = newStart;
@@ -1077,7 +2348,7 @@ export default class ReadingHighlighterPlugin extends Plugin {
             const following = raw.substring(expandedEnd);
             // Expanded to include balanced punctuation, quotes (including « »), and footnotes
             const matchForward = following.match(/^(<\/mark>|\*\*|==|~~|\*|_|\]\]|\]\([^)]+\)|\[\^[^\]]+\]|[.?!,;:]["']?|[)\]}"'»”’›.?!,;:](\s|$)?)/);
-            if (matchForward) {
+            if (matchForward && !(isHighlightMode && /^(<\/mark>|==)/.test(matchForward[0]))) {
                 expandedEnd += matchForward[0].length;
                 expanded = true;
             }
@@ -1107,15 +2378,20 @@ export default class ReadingHighlighterPlugin extends Plugin {
             }
         }
         if (autoTag) {
-            const cleanAutoTag = sanitizeTag(autoTag);
-            fullTag = fullTag ? `${fullTag} #${cleanAutoTag}` : `#${cleanAutoTag}`;
+            // Tags bound to the color, e.g. "#disagree #review"
+            const present = fullTag.split(/\s+/).filter(t => t);
+            const bound = autoTag.split(/[\s,]+/).map(sanitizeTag).filter(t => t).map(t => `#${t}`);
+            fullTag = [...present, ...bound.filter(t => !present.includes(t))].join(" ");
+        }
+        if (mergedTags.length) {
+            const present = fullTag.split(/\s+/).filter(t => t);
+            fullTag = [...mergedTags.map(t => `#${t}`).filter(t => !present.includes(t)), ...present].join(" ");
         }
         const processedLines = lines.map((line) => {
-            let cleanLine = line.replace(/<mark[^>]*>/g, "").replace(/<\/mark>/g, "");
+            let cleanLine = isHighlightMode ? line.replace(/<mark[^>]*>/g, "").replace(/<\/mark>/g, "") : line;
             if (this.isTableAlignmentRow(line)) return line;
             if (this.isTableDataRow(line)) {
-                cleanLine = cleanLine.split("==").join("");
-                if (mode === "remove") return cleanLine;
+                if (isHighlightMode) cleanLine = cleanLine.split("==").join("");
                 const parts = cleanLine.split("|");
                 const wrappedParts = parts.map((cell, idx) => {
                     if (idx === 0 || idx === parts.length - 1) return cell;
@@ -1125,13 +2401,13 @@ export default class ReadingHighlighterPlugin extends Plugin {
                     const trailWS = cell.match(/(\s*)$/)![1];
                     let wrapped;
                     if (mode === "highlight" || mode === "tag") {
-                        if (this.settings.enableColorHighlighting && this.settings.highlightColor) {
-                            wrapped = `<mark style="background: ${this.settings.highlightColor}; color: black;">${trimmedCell}</mark>`;
-                        } else {
-                            wrapped = `==${trimmedCell}==`;
-                        }
+                        wrapped = this.wrapHighlight(trimmedCell);
                     } else if (mode === "color") {
-                        wrapped = `<mark style="background: ${payload}; color: black;">${trimmedCell}</mark>`;
+                        wrapped = this.wrapHighlight(trimmedCell, payload, entry);
+                    } else if (isFormatMode) {
+                        wrapped = toggleInlineFormat(trimmedCell, mode);
+                    } else if (mode === "link") {
+                        wrapped = formatWikilink(trimmedCell, payload, true);
                     } else {
                         wrapped = trimmedCell;
                     }
@@ -1139,14 +2415,9 @@ export default class ReadingHighlighterPlugin extends Plugin {
                 });
                 return wrappedParts.join("|");
             }
-            if (mode === "highlight" || mode === "color" || mode === "tag" || mode === "remove") {
+            if (isHighlightMode) {
                 cleanLine = cleanLine.split("==").join("");
-            } else if (mode === "bold") {
-                cleanLine = cleanLine.split("**").join("");
-            } else if (mode === "italic") {
-                cleanLine = cleanLine.split("*").join("");
             }
-            if (mode === "remove") return cleanLine;
             const { indent, prefix, content } = this.splitMarkdownLine(cleanLine);
             if (!content.trim()) return line;
 
@@ -1161,25 +2432,23 @@ export default class ReadingHighlighterPlugin extends Plugin {
             let wrappedContent = actualContent;
 
             if (mode === "highlight" || mode === "tag") {
-                if (this.settings.enableColorHighlighting && this.settings.highlightColor) {
-                    wrappedContent = `<mark style="background: ${this.settings.highlightColor}; color: black;">${actualContent}</mark>`;
-                } else {
-                    wrappedContent = `==${actualContent}==`;
-                }
+                wrappedContent = this.wrapHighlight(actualContent);
             } else if (mode === "color") {
-                wrappedContent = `<mark style="background: ${payload}; color: black;">${actualContent}</mark>`;
-            } else if (mode === "bold") {
-                wrappedContent = `**${actualContent}**`;
-            } else if (mode === "italic") {
-                wrappedContent = `*${actualContent}*`;
+                wrappedContent = this.wrapHighlight(actualContent, payload, entry);
+            } else if (isFormatMode) {
+                wrappedContent = toggleInlineFormat(actualContent, mode);
+            } else if (mode === "link") {
+                wrappedContent = formatWikilink(actualContent, payload);
             }
 
             return `${indent}${prefix}${leadWS}${tagStr}${wrappedContent}${trailWS}`;
         });
         const replaceBlock = processedLines.join(newline);
         const newContent = raw.substring(0, expandedStart) + replaceBlock + raw.substring(expandedEnd);
+        const written = { start: expandedStart, end: expandedStart + replaceBlock.length };
         await this.app.vault.modify(file, newContent);
-        if (mode !== "remove" && this.settings.enableFrontmatterTag && this.settings.frontmatterTag) {
+        this.indexHighlights(file, newContent, Date.now());
+        if (isHighlightMode && this.settings.enableFrontmatterTag && this.settings.frontmatterTag) {
             const targetTag = this.formatFrontmatterTag(this.settings.frontmatterTag);
             if (targetTag) {
                 try {
@@ -1208,6 +2477,7 @@ export default class ReadingHighlighterPlugin extends Plugin {
                 }
             }
         }
+        return written;
     }
 
     restoreScroll(view: MarkdownView, pos: any) {
@@ -1233,7 +2503,7 @@ export default class ReadingHighlighterPlugin extends Plugin {
             }
             const mockSnapshot = { text: correctedText, range: null };
             if (actionType === "applyColorHighlight") {
-                await this.applyColorHighlight(view, payload!, "", mockSnapshot);
+                await this.applyColorHighlight(view, payload!, mockSnapshot);
             } else if (actionType === "highlightSelection") {
                 await this.highlightSelection(view, mockSnapshot);
             } else if (actionType === "tagSelection") {
@@ -1242,6 +2512,16 @@ export default class ReadingHighlighterPlugin extends Plugin {
                 await this.annotateSelection(view, mockSnapshot);
             } else if (actionType === "removeHighlightSelection") {
                 await this.removeHighlightSelection(view, mockSnapshot);
+            } else if (actionType === "createTaskFromSelection") {
+                await this.createTaskFromSelection(view, mockSnapshot);
+            } else if (actionType === "sendToCapture") {
+                await this.sendToCapture(view, mockSnapshot);
+            } else if (actionType === "linkSelection") {
+                await this.linkSelection(view, mockSnapshot);
+            } else if (actionType === "extractToNote") {
+                await this.extractToNote(view, mockSnapshot);
+            } else if (actionType === "formatSelection") {
+                await this.formatSelection(view, mockSnapshot, payload!);
             }
         }).open();
     }
@@ -1282,6 +2562,35 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                     this.display();
                 }));
+        new Setting(containerEl)
+            .setName("Highlight Menu on Click")
+            .setDesc("Click a highlight in Reading View to recolor it, convert it between == and <mark>, or edit its tags and note. Right-click always opens the menu.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableHighlightMenu)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableHighlightMenu = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Write Highlight IDs")
+            .setDesc("Add a data-hl-id attribute to new <mark> highlights so they keep their identity even when their text is edited. == highlights are tracked by the plugin's highlight index.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.writeHighlightIds)
+                .onChange(async (value) => {
+                    this.plugin.settings.writeHighlightIds = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Color Markup")
+            .setDesc("How palette colors are written. Theme-aware classes (e.g. <mark class=\"rh-key-concept\">) are styled from the palette for light and dark themes and follow later palette edits. Run \"Migrate highlight colors in vault\" to convert existing highlights.")
+            .addDropdown(dropdown => dropdown
+                .addOption("inline", "Inline colors")
+                .addOption("class", "Theme-aware classes")
+                .setValue(this.plugin.settings.colorMarkup)
+                .onChange(async (value) => {
+                    this.plugin.settings.colorMarkup = value;
+                    await this.plugin.saveSettings();
+                }));
         if (this.plugin.settings.enableColorHighlighting) {
             new Setting(containerEl)
                 .setName("Highlight Color")
@@ -1295,7 +2604,7 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
         }
         new Setting(containerEl)
             .setName("Enable Color Palette")
-            .setDesc("Show a palette of 5 colors in the toolbar for quick selection.")
+            .setDesc("Show a palette of colors in the toolbar for quick selection.")
             .addToggle(toggle => toggle
                 .setValue(this.plugin.settings.enableColorPalette)
                 .onChange(async (value) => {
@@ -1305,23 +2614,73 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
                 }));
         if (this.plugin.settings.enableColorPalette) {
             containerEl.createEl("h4", { text: "Semantic Color Meanings" });
-            this.plugin.settings.semanticColors.forEach((item, index) => {
-                const setting = new Setting(containerEl).setName(`Color ${index + 1}`);
-                const colorPreview = document.createElement("div");
-                colorPreview.style.width = "24px";
-                colorPreview.style.height = "24px";
-                colorPreview.style.borderRadius = "4px";
-                colorPreview.style.backgroundColor = item.color;
-                colorPreview.style.marginRight = "10px";
-                setting.controlEl.appendChild(colorPreview);
-                setting.addText(text => text
-                    .setPlaceholder("Meaning (e.g. Disagree)")
-                    .setValue(item.meaning)
+            containerEl.createEl("p", {
+                cls: "setting-item-description",
+                text: "After changing a color, run \"Migrate highlight colors in vault\" to update highlights written with the old color.",
+            });
+            containerEl.createEl("p", {
+                cls: "setting-item-description",
+                text: "Tags given to a color are added whenever it is applied, and choosing one of them when tagging applies the color.",
+            });
+            this.renderPaletteEditor(containerEl, this.plugin.settings.semanticColors);
+
+            containerEl.createEl("h4", { text: "Palette Profiles" });
+            containerEl.createEl("p", {
+                cls: "setting-item-description",
+                text: "Notes in a profile's folders, or whose frontmatter names the profile, get its colors in the toolbar instead of the palette above.",
+            });
+            new Setting(containerEl)
+                .setName("Profile Frontmatter Key")
+                .setDesc("Frontmatter key that names a note's palette profile.")
+                .addText(text => text
+                    .setPlaceholder("highlight-palette")
+                    .setValue(this.plugin.settings.paletteFrontmatterKey)
                     .onChange(async (value) => {
-                        this.plugin.settings.semanticColors[index].meaning = value;
+                        this.plugin.settings.paletteFrontmatterKey = value.trim();
                         await this.plugin.saveSettings();
                     }));
+            this.plugin.settings.paletteProfiles.forEach((profile, index) => {
+                new Setting(containerEl)
+                    .setName(profile.name || `Profile ${index + 1}`)
+                    .setHeading()
+                    .addText(text => text
+                        .setPlaceholder("Name")
+                        .setValue(profile.name)
+                        .onChange(async (value) => {
+                            profile.name = value;
+                            await this.plugin.saveSettings();
+                        }))
+                    .addText(text => text
+                        .setPlaceholder("Folders, comma separated")
+                        .setValue(profile.folders.join(", "))
+                        .onChange(async (value) => {
+                            profile.folders = value.split(",").map((folder) => folder.trim()).filter(Boolean);
+                            await this.plugin.saveSettings();
+                        }))
+                    .addExtraButton(button => button
+                        .setIcon("trash-2")
+                        .setTooltip("Delete profile")
+                        .onClick(async () => {
+                            this.plugin.settings.paletteProfiles.splice(index, 1);
+                            await this.plugin.saveSettings();
+                            this.plugin.applyPaletteClasses();
+                            this.display();
+                        }));
+                this.renderPaletteEditor(containerEl, profile.colors);
             });
+            new Setting(containerEl)
+                .addButton(button => button
+                    .setButtonText("Add profile")
+                    .onClick(async () => {
+                        this.plugin.settings.paletteProfiles.push({
+                            name: `Profile ${this.plugin.settings.paletteProfiles.length + 1}`,
+                            folders: [],
+                            colors: this.plugin.settings.semanticColors.map((item) => ({ ...item, id: createColorId() })),
+                        });
+                        await this.plugin.saveSettings();
+                        this.plugin.applyPaletteClasses();
+                        this.display();
+                    }));
         }
         containerEl.createEl("h3", { text: "Tags" });
         new Setting(containerEl)
@@ -1362,6 +2721,100 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
                     this.plugin.settings.quoteTemplate = value;
                     await this.plugin.saveSettings();
                 }));
+        containerEl.createEl("h3", { text: "Extract to Note" });
+        new Setting(containerEl)
+            .setName("Note Folder")
+            .setDesc("Folder for notes extracted from a selection. Leave empty to use the source note's folder.")
+            .addText(text => text
+                .setPlaceholder("Zettelkasten")
+                .setValue(this.plugin.settings.atomicNoteFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.atomicNoteFolder = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Note Name")
+            .setDesc("Suggested name of the new note, editable before it is created. Same variables as the quote format; {{text}} is the first line of the selection.")
+            .addText(text => text
+                .setPlaceholder("{{text}}")
+                .setValue(this.plugin.settings.atomicNoteNameTemplate)
+                .onChange(async (value) => {
+                    this.plugin.settings.atomicNoteNameTemplate = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Note Template")
+            .setDesc("Body of the new note. Same variables as the quote format, plus {{link}}: a link to the extracted passage.")
+            .addTextArea(text => text
+                .setValue(this.plugin.settings.atomicNoteTemplate)
+                .onChange(async (value) => {
+                    this.plugin.settings.atomicNoteTemplate = value;
+                    await this.plugin.saveSettings();
+                }));
+        containerEl.createEl("h3", { text: "Capture Note" });
+        new Setting(containerEl)
+            .setName("Send To")
+            .setDesc("Where \"Highlight and send selection to capture note\" appends passages, grouped under a heading per source note.")
+            .addDropdown(dropdown => dropdown
+                .addOption("daily", "Today's daily note")
+                .addOption("inbox", "Inbox note")
+                .setValue(this.plugin.settings.captureTarget)
+                .onChange(async (value) => {
+                    this.plugin.settings.captureTarget = value;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+        if (this.plugin.settings.captureTarget === "inbox") {
+            new Setting(containerEl)
+                .setName("Inbox Note")
+                .setDesc("Path of the inbox note. It is created if missing.")
+                .addText(text => text
+                    .setPlaceholder("Inbox.md")
+                    .setValue(this.plugin.settings.captureInboxPath)
+                    .onChange(async (value) => {
+                        this.plugin.settings.captureInboxPath = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
+        }
+        new Setting(containerEl)
+            .setName("Capture Template")
+            .setDesc("Same variables as the quote format, plus {{link}} to the passage and {{embed}} to embed it as a block reference instead of copying it.")
+            .addTextArea(text => text
+                .setValue(this.plugin.settings.captureTemplate)
+                .onChange(async (value) => {
+                    this.plugin.settings.captureTemplate = value;
+                    await this.plugin.saveSettings();
+                }));
+        containerEl.createEl("h3", { text: "Tasks" });
+        new Setting(containerEl)
+            .setName("Tasks Note")
+            .setDesc("Path of the note \"Create task from selection\" adds tasks to. It is created if missing.")
+            .addText(text => text
+                .setPlaceholder("Tasks.md")
+                .setValue(this.plugin.settings.taskNotePath)
+                .onChange(async (value) => {
+                    this.plugin.settings.taskNotePath = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Action Item Color")
+            .setDesc("Highlight color of passages turned into tasks.")
+            .addColorPicker(color => color
+                .setValue(this.plugin.settings.taskColor)
+                .onChange(async (value) => {
+                    this.plugin.settings.taskColor = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Default Task Tags")
+            .setDesc("Tags suggested for new tasks, e.g. #follow-up.")
+            .addText(text => text
+                .setPlaceholder("#follow-up")
+                .setValue(this.plugin.settings.taskTags)
+                .onChange(async (value) => {
+                    this.plugin.settings.taskTags = value.trim();
+                    await this.plugin.saveSettings();
+                }));
         containerEl.createEl("h3", { text: "Annotations" });
         new Setting(containerEl)
             .setName("Enable Annotations")
@@ -1381,6 +2834,19 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
                     this.plugin.settings.showAnnotationButton = value;
                     await this.plugin.saveSettings();
                 }));
+        containerEl.createEl("h3", { text: "Undo History" });
+        new Setting(containerEl)
+            .setName("Undo Steps per Note")
+            .setDesc("How many highlight actions to keep for undo and redo in each note.")
+            .addSlider(slider => slider
+                .setLimits(5, 200, 5)
+                .setValue(this.plugin.settings.maxUndoSteps)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.maxUndoSteps = value;
+                    this.plugin.history.setMaxSteps(value);
+                    await this.plugin.saveSettings();
+                }));
         containerEl.createEl("h3", { text: "Reading Progress" });
         new Setting(containerEl)
             .setName("Track Reading Progress")
@@ -1419,6 +2885,51 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
                     this.plugin.settings.showQuoteButton = value;
                     await this.plugin.saveSettings();
                 }));
+        new Setting(containerEl)
+            .setName("Show Formatting Buttons")
+            .setDesc("Bold, italic, strikethrough and inline code buttons.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showFormatButtons)
+                .onChange(async (value) => {
+                    this.plugin.settings.showFormatButtons = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Show Task Button")
+            .setDesc("Button that creates a task from the selection.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showTaskButton)
+                .onChange(async (value) => {
+                    this.plugin.settings.showTaskButton = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Show Capture Button")
+            .setDesc("Button that highlights the selection and sends it to the capture note.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showCaptureButton)
+                .onChange(async (value) => {
+                    this.plugin.settings.showCaptureButton = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Show Link Button")
+            .setDesc("Button that links the selection to a note.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showLinkButton)
+                .onChange(async (value) => {
+                    this.plugin.settings.showLinkButton = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName("Show Extract Button")
+            .setDesc("Button that extracts the selection to a new note.")
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showExtractButton)
+                .onChange(async (value) => {
+                    this.plugin.settings.showExtractButton = value;
+                    await this.plugin.saveSettings();
+                }));
         new Setting(containerEl)
             .setName("Show Remove Button")
             .addToggle(toggle => toggle
@@ -1501,4 +3012,72 @@ class ReadingHighlighterSettingTab extends PluginSettingTab {
                     }));
         }
     }
+
+    /**
+     * One row per color of `colors` (the default palette or a profile's),
+     * plus a button to add a color.
+     */
+    renderPaletteEditor(containerEl: HTMLElement, colors: SemanticColor[]) {
+        const save = async () => {
+            await this.plugin.saveSettings();
+            this.plugin.applyPaletteClasses();
+        };
+        colors.forEach((item, index) => {
+            const setting = new Setting(containerEl).setName(`Color ${index + 1}`);
+            setting.addColorPicker(color => color
+                .setValue(item.color)
+                .onChange(async (value) => {
+                    item.color = value;
+                    await save();
+                }));
+            setting.addText(text => text
+                .setPlaceholder("Meaning (e.g. Disagree)")
+                .setValue(item.meaning)
+                .onChange(async (value) => {
+                    item.meaning = value;
+                    await save();
+                }));
+            setting.addDropdown(dropdown => {
+                HIGHLIGHT_STYLES.forEach((style) => dropdown.addOption(style, STYLE_LABELS[style] || style));
+                dropdown
+                    .setValue(item.style || "background")
+                    .onChange(async (value) => {
+                        item.style = value;
+                        await save();
+                    });
+            });
+            setting.addText(text => text
+                .setPlaceholder("Icon (e.g. star)")
+                .setValue(item.icon || "")
+                .onChange(async (value) => {
+                    item.icon = value.trim();
+                    await save();
+                }));
+            setting.addText(text => text
+                .setPlaceholder("Tags (e.g. #disagree)")
+                .setValue(item.autoTag || "")
+                .onChange(async (value) => {
+                    item.autoTag = value.split(/[\s,]+/).filter(Boolean).map((tag) => `#${tag.replace(/^#/, "")}`).join(" ");
+                    await save();
+                }));
+            setting.addExtraButton(button => button
+                .setIcon("x")
+                .setTooltip("Remove color")
+                .setDisabled(colors.length <= 1)
+                .onClick(async () => {
+                    if (colors.length <= 1) return;
+                    colors.splice(index, 1);
+                    await save();
+                    this.display();
+                }));
+        });
+        new Setting(containerEl)
+            .addButton(button => button
+                .setButtonText("Add color")
+                .onClick(async () => {
+                    colors.push({ id: createColorId(), color: "#FFEE58", meaning: "" });
+                    await save();
+                    this.display();
+                }));
+    }
 }
@@ -3,12 +3,15 @@ import { Modal, TextAreaComponent } from "obsidian";
 /**
  * Modal for adding annotations/comments to highlighted text.
  * Comments are added as footnotes at the bottom of the document.
+ * Pass `value` (with a `title` and `submitText`) to edit an existing annotation.
  */
 export class AnnotationModal extends Modal {
-    constructor(app, onSubmit) {
+    constructor(app, onSubmit, { title = "Add Annotation", value = "", submitText = "Add Annotation" } = {}) {
         super(app);
         this.onSubmit = onSubmit;
-        this.comment = "";
+        this.comment = value;
+        this.title = title;
+        this.submitText = submitText;
     }
 
     onOpen() {
@@ -21,7 +24,7 @@ export class AnnotationModal extends Modal {
         }
 
 
-        contentEl.createEl("h2", { text: "Add Annotation" });
+        contentEl.createEl("h2", { text: this.title });
 
         contentEl.createEl("p", {
             text: "Your comment will be added as a footnote at the bottom of the document.",
@@ -31,6 +34,7 @@ export class AnnotationModal extends Modal {
         const textArea = new TextAreaComponent(contentEl);
         textArea.inputEl.addClass("annotation-textarea");
         textArea.setPlaceholder("Enter your annotation...");
+        textArea.setValue(this.comment);
         textArea.onChange((value) => {
             this.comment = value;
         });
@@ -52,7 +56,7 @@ export class AnnotationModal extends Modal {
         const cancelBtn = footer.createEl("button", { text: "Cancel" });
         cancelBtn.onclick = () => this.close();
 
-        const submitBtn = footer.createEl("button", { text: "Add Annotation", cls: "mod-cta" });
+        const submitBtn = footer.createEl("button", { text: this.submitText, cls: "mod-cta" });
         submitBtn.onclick = () => this.submit();
     }
 
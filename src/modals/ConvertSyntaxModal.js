@@ -0,0 +1,125 @@
+import { Modal, Setting, TFolder } from "obsidian";
+
+// Number of notes listed in the preview
+const PREVIEW_LIMIT = 100;
+
+/**
+ * Converts highlights between `==` and `<mark>` in a folder or the whole
+ * vault. "Preview" lists the notes that would change; "Convert" applies the
+ * previewed conversion as one undoable batch.
+ */
+export class ConvertSyntaxModal extends Modal {
+    constructor(plugin) {
+        super(plugin.app);
+        this.plugin = plugin;
+        this.options = { to: "html", paletteIndex: 0, folder: "" };
+        this.preview = null;
+    }
+
+    onOpen() {
+        this.modalEl.addClass("reading-highlighter-convert-modal");
+        this.render();
+    }
+
+    render() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl("h2", { text: "Convert Highlight Syntax" });
+
+        new Setting(contentEl)
+            .setName("Direction")
+            .addDropdown((dropdown) => dropdown
+                .addOption("html", "== to <mark>")
+                .addOption("markdown", "<mark> to ==")
+                .setValue(this.options.to)
+                .onChange((value) => this.update({ to: value })));
+
+        if (this.options.to === "html") {
+            new Setting(contentEl)
+                .setName("Color")
+                .setDesc("Palette color given to converted highlights.")
+                .addDropdown((dropdown) => {
+                    this.plugin.getAllPaletteColors().forEach((entry, index) => {
+                        dropdown.addOption(String(index), entry.meaning ? `${entry.meaning} (${entry.color})` : entry.color);
+                    });
+                    dropdown
+                        .setValue(String(this.options.paletteIndex))
+                        .onChange((value) => this.update({ paletteIndex: parseInt(value, 10) }));
+                });
+        } else {
+            contentEl.createEl("p", {
+                cls: "setting-item-description",
+                text: "Colors, styles and highlight ids are dropped; tags and annotations are kept.",
+            });
+        }
+
+        new Setting(contentEl)
+            .setName("Folder")
+            .addDropdown((dropdown) => {
+                dropdown.addOption("", "Whole vault");
+                this.getFolders().forEach((path) => dropdown.addOption(path, path));
+                dropdown
+                    .setValue(this.options.folder)
+                    .onChange((value) => this.update({ folder: value }));
+            });
+
+        this.renderPreview(contentEl.createDiv({ cls: "convert-preview" }));
+
+        const footer = contentEl.createDiv({ cls: "modal-footer" });
+        const cancelBtn = footer.createEl("button", { text: "Cancel" });
+        cancelBtn.onclick = () => this.close();
+        const previewBtn = footer.createEl("button", { text: "Preview" });
+        previewBtn.onclick = async () => {
+            this.preview = await this.plugin.previewSyntaxConversion(this.options);
+            this.render();
+        };
+        const convertBtn = footer.createEl("button", { text: "Convert", cls: "mod-cta" });
+        convertBtn.disabled = !this.preview?.length;
+        convertBtn.onclick = async () => {
+            this.close();
+            await this.plugin.convertSyntaxInVault(this.options);
+        };
+    }
+
+    renderPreview(containerEl) {
+        if (!this.preview) {
+            containerEl.createDiv({ cls: "convert-empty", text: "Preview the notes that would change before converting." });
+            return;
+        }
+        if (this.preview.length === 0) {
+            containerEl.createDiv({ cls: "convert-empty", text: "No highlights to convert." });
+            return;
+        }
+        const total = this.preview.reduce((sum, item) => sum + item.count, 0);
+        containerEl.createDiv({
+            cls: "convert-summary",
+            text: `${total} highlight${total === 1 ? "" : "s"} in ${this.preview.length} note${this.preview.length === 1 ? "" : "s"}`,
+        });
+        const list = containerEl.createDiv({ cls: "convert-list" });
+        this.preview.slice(0, PREVIEW_LIMIT).forEach(({ file, count }) => {
+            const item = list.createDiv({ cls: "convert-item" });
+            item.createSpan({ cls: "convert-path", text: file.path });
+            item.createSpan({ cls: "convert-count", text: String(count) });
+        });
+        if (this.preview.length > PREVIEW_LIMIT) {
+            list.createDiv({ cls: "convert-empty", text: `and ${this.preview.length - PREVIEW_LIMIT} more` });
+        }
+    }
+
+    update(changes) {
+        Object.assign(this.options, changes);
+        this.preview = null;
+        this.render();
+    }
+
+    getFolders() {
+        return this.app.vault.getAllLoadedFiles()
+            .filter((file) => file instanceof TFolder && !file.isRoot())
+            .map((folder) => folder.path)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
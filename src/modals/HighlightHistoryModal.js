@@ -0,0 +1,67 @@
+import { Modal } from "obsidian";
+
+/**
+ * Lists the undo and redo entries recorded for a file.
+ * Clicking an entry undoes (or redoes) every step up to and including it.
+ */
+export class HighlightHistoryModal extends Modal {
+    constructor(plugin, path) {
+        super(plugin.app);
+        this.plugin = plugin;
+        this.path = path;
+    }
+
+    onOpen() {
+        this.modalEl.addClass("reading-highlighter-history-modal");
+        this.render();
+    }
+
+    render() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl("h2", { text: "Highlight History" });
+        contentEl.createEl("p", { text: this.path, cls: "history-file-path" });
+
+        const { undo, redo } = this.plugin.history.getEntries(this.path);
+        if (undo.length === 0 && redo.length === 0) {
+            contentEl.createDiv({ cls: "history-empty", text: "No history for this note." });
+            return;
+        }
+
+        if (redo.length > 0) {
+            contentEl.createEl("h4", { text: "Redo" });
+            const list = contentEl.createDiv({ cls: "history-list" });
+            // Listed as a timeline: the last row is the next step to redo.
+            redo.slice().reverse().forEach((entry, index, all) => {
+                this.renderEntry(list, entry, "redo", all.length - index);
+            });
+        }
+
+        if (undo.length > 0) {
+            contentEl.createEl("h4", { text: "Undo" });
+            const list = contentEl.createDiv({ cls: "history-list" });
+            undo.forEach((entry, index) => {
+                this.renderEntry(list, entry, "undo", index + 1);
+            });
+        }
+    }
+
+    renderEntry(list, entry, kind, steps) {
+        const item = list.createDiv({ cls: `history-item history-${kind}` });
+        item.createSpan({ cls: "history-label", text: entry.label });
+        item.createSpan({ cls: "history-time", text: new Date(entry.timestamp).toLocaleTimeString() });
+        item.onclick = async () => {
+            for (let i = 0; i < steps; i++) {
+                const ok = kind === "undo"
+                    ? await this.plugin.undoLastHighlight(this.path)
+                    : await this.plugin.redoLastHighlight(this.path);
+                if (!ok) break;
+            }
+            this.render();
+        };
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
@@ -0,0 +1,53 @@
+import { SuggestModal, prepareFuzzySearch } from "obsidian";
+
+// Number of notes listed at once
+const SUGGESTION_LIMIT = 50;
+
+/**
+ * Picks a note to link to, by fuzzy search over note paths. A query that
+ * names no existing note can be chosen as is, for a link to a note that does
+ * not exist yet. `onChoose` receives a TFile or the typed name.
+ */
+export class NoteSuggestModal extends SuggestModal {
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder("Link to note...");
+        this.modalEl.addClass("reading-highlighter-note-suggest");
+    }
+
+    getSuggestions(query) {
+        const files = this.app.vault.getMarkdownFiles();
+        const trimmed = query.trim();
+        if (!trimmed) {
+            return files
+                .sort((a, b) => b.stat.mtime - a.stat.mtime)
+                .slice(0, SUGGESTION_LIMIT);
+        }
+        const search = prepareFuzzySearch(trimmed);
+        const matches = files
+            .map((file) => ({ file, match: search(file.path) }))
+            .filter((item) => item.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, SUGGESTION_LIMIT)
+            .map((item) => item.file);
+        const exact = matches.some((file) => file.basename.toLowerCase() === trimmed.toLowerCase());
+        return exact ? matches : [...matches, trimmed];
+    }
+
+    renderSuggestion(item, el) {
+        if (typeof item === "string") {
+            el.createDiv({ text: item });
+            el.createDiv({ cls: "suggestion-note", text: "Link to a new note" });
+            return;
+        }
+        el.createDiv({ text: item.basename });
+        if (item.parent && !item.parent.isRoot()) {
+            el.createDiv({ cls: "suggestion-note", text: item.parent.path });
+        }
+    }
+
+    onChooseSuggestion(item) {
+        this.onChoose(item);
+    }
+}
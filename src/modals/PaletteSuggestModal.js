@@ -0,0 +1,47 @@
+import { FuzzySuggestModal } from "obsidian";
+import { paletteKey, countByPaletteKey } from "../core/HighlightQuery";
+
+/**
+ * Fuzzy picker over the active note's palette, searchable by meaning or
+ * color. Each entry shows its swatch and how many highlights in the vault use
+ * it; choosing one calls `onChoose(entry)`.
+ */
+export class PaletteSuggestModal extends FuzzySuggestModal {
+    constructor(plugin, palette, onChoose) {
+        super(plugin.app);
+        this.plugin = plugin;
+        this.palette = palette;
+        this.onChoose = onChoose;
+        const highlights = plugin.vaultScanner.getResults().flatMap((result) => result.highlights);
+        this.counts = countByPaletteKey(highlights);
+        this.setPlaceholder("Apply highlight color...");
+        this.modalEl.addClass("reading-highlighter-palette-modal");
+    }
+
+    getItems() {
+        return this.palette;
+    }
+
+    getItemText(entry) {
+        return entry.meaning ? `${entry.meaning} ${entry.color}` : entry.color;
+    }
+
+    renderSuggestion(match, el) {
+        const entry = match.item;
+        el.addClass("palette-suggestion");
+        const swatch = el.createSpan({ cls: "palette-swatch" });
+        if (entry.style && entry.style !== "background") {
+            swatch.setAttribute("data-hl-style", entry.style);
+            swatch.style.setProperty("--hl-color", entry.color);
+        } else {
+            swatch.style.backgroundColor = entry.color;
+        }
+        el.createSpan({ cls: "palette-meaning", text: entry.meaning || entry.color });
+        const count = this.counts.get(paletteKey(entry.color, entry.style)) || 0;
+        el.createSpan({ cls: "palette-count", text: `${count} highlight${count === 1 ? "" : "s"}` });
+    }
+
+    onChooseItem(entry) {
+        this.onChoose(entry);
+    }
+}
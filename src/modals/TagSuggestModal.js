@@ -1,4 +1,5 @@
 import { Modal } from "obsidian";
+import { colorTags } from "../core/PaletteProfiles";
 
 /**
  * Multi-select tag modal with fuzzy search and smart suggestions.
@@ -14,6 +15,8 @@ export class TagSuggestModal extends Modal {
         this.suggestionEl = null;
         this.selectedContainer = null;
         this.smartSuggestionEl = null;
+        // Lowercase tag -> palette color it is bound to
+        this.boundColors = new Map();
     }
 
     onOpen() {
@@ -23,6 +26,14 @@ export class TagSuggestModal extends Modal {
 
         contentEl.createEl("h2", { text: "Add Tags" });
 
+        if (this.plugin.settings.enableColorPalette) {
+            this.plugin.getPalette(this.app.workspace.getActiveFile()).forEach((entry) => {
+                colorTags(entry).forEach((tag) => {
+                    if (!this.boundColors.has(tag.toLowerCase())) this.boundColors.set(tag.toLowerCase(), entry.color);
+                });
+            });
+        }
+
         // Smart suggestions section (if enabled)
         if (this.plugin.settings.enableSmartTagSuggestions) {
             const smartTags = this.getSuggestedTags();
@@ -68,6 +79,10 @@ export class TagSuggestModal extends Modal {
         // Load correct tags
         const tagCounts = this.app.metadataCache.getTags();
         this.allTags = Object.keys(tagCounts).map(t => t.substring(1)); // strip #
+        // Offer color-bound tags even before they are used anywhere
+        this.boundColors.forEach((_color, tag) => {
+            if (!this.allTags.some(t => t.toLowerCase() === tag)) this.allTags.unshift(tag);
+        });
 
         // Handlers
         input.addEventListener("input", (e) => {
@@ -157,6 +172,11 @@ export class TagSuggestModal extends Modal {
 
     renderItem(tag, isNew) {
         const el = this.suggestionEl.createDiv({ cls: "suggestion-item" });
+        const boundColor = this.boundColors.get(tag.toLowerCase());
+        if (boundColor) {
+            const dot = el.createSpan({ cls: "tag-color-dot" });
+            dot.style.backgroundColor = boundColor;
+        }
         el.createSpan({ text: isNew ? `#${tag}` : `#${tag}` });
         if (isNew) {
             el.createSpan({ text: " (Create new)", cls: "suggestion-note" });
@@ -0,0 +1,73 @@
+import { Modal, Setting } from "obsidian";
+
+/**
+ * Modal for turning a passage into a task: its text, an optional due date
+ * and optional tags. `onSubmit` receives `{ text, due, tags }`, with `due`
+ * as YYYY-MM-DD or "" and `tags` without `#`.
+ */
+export class TaskModal extends Modal {
+    constructor(app, { text = "", tags = "" }, onSubmit) {
+        super(app);
+        this.onSubmit = onSubmit;
+        this.values = { text, due: "", tags };
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.modalEl.addClass("reading-highlighter-task-modal");
+        contentEl.createEl("h2", { text: "New Task" });
+
+        new Setting(contentEl)
+            .setName("Task")
+            .addText((text) => {
+                text.inputEl.addClass("task-text-input");
+                text.setValue(this.values.text).onChange((value) => {
+                    this.values.text = value;
+                });
+                text.inputEl.addEventListener("keydown", (e) => {
+                    if (e.key === "Enter") {
+                        e.preventDefault();
+                        this.submit();
+                    }
+                });
+                setTimeout(() => text.inputEl.focus(), 50);
+            });
+
+        new Setting(contentEl)
+            .setName("Due date")
+            .addText((text) => {
+                text.inputEl.type = "date";
+                text.onChange((value) => {
+                    this.values.due = value;
+                });
+            });
+
+        new Setting(contentEl)
+            .setName("Tags")
+            .addText((text) => text
+                .setPlaceholder("#follow-up")
+                .setValue(this.values.tags)
+                .onChange((value) => {
+                    this.values.tags = value;
+                }));
+
+        const footer = contentEl.createDiv({ cls: "modal-footer" });
+        const cancelBtn = footer.createEl("button", { text: "Cancel" });
+        cancelBtn.onclick = () => this.close();
+        const submitBtn = footer.createEl("button", { text: "Create Task", cls: "mod-cta" });
+        submitBtn.onclick = () => this.submit();
+    }
+
+    submit() {
+        const text = this.values.text.trim();
+        if (text) {
+            const tags = this.values.tags.split(/[\s,]+/).map((tag) => tag.replace(/^#/, "")).filter(Boolean);
+            this.onSubmit({ text, due: this.values.due, tags });
+        }
+        this.close();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
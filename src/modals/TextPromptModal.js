@@ -0,0 +1,53 @@
+import { Modal, TextComponent } from "obsidian";
+
+/**
+ * Small modal asking for a single line of text (e.g. a name).
+ */
+export class TextPromptModal extends Modal {
+    constructor(app, { title, placeholder = "", value = "", submitText = "Save" }, onSubmit) {
+        super(app);
+        this.title = title;
+        this.placeholder = placeholder;
+        this.value = value;
+        this.submitText = submitText;
+        this.onSubmit = onSubmit;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.modalEl.addClass("reading-highlighter-prompt-modal");
+        contentEl.createEl("h2", { text: this.title });
+
+        const input = new TextComponent(contentEl);
+        input.inputEl.addClass("prompt-input");
+        input.setPlaceholder(this.placeholder);
+        input.setValue(this.value);
+        input.onChange((value) => {
+            this.value = value;
+        });
+        input.inputEl.addEventListener("keydown", (e) => {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                this.submit();
+            }
+        });
+        setTimeout(() => input.inputEl.focus(), 50);
+
+        const footer = contentEl.createDiv({ cls: "modal-footer" });
+        const cancelBtn = footer.createEl("button", { text: "Cancel" });
+        cancelBtn.onclick = () => this.close();
+        const submitBtn = footer.createEl("button", { text: this.submitText, cls: "mod-cta" });
+        submitBtn.onclick = () => this.submit();
+    }
+
+    submit() {
+        if (this.value.trim()) {
+            this.onSubmit(this.value.trim());
+        }
+        this.close();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
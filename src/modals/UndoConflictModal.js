@@ -0,0 +1,58 @@
+import { Modal, Setting } from "obsidian";
+
+/**
+ * Shown when an undo or redo step cannot be applied because the region it
+ * touches was edited afterwards. Previews what the step expected next to what
+ * the note contains now, and never overwrites the note.
+ */
+export class UndoConflictModal extends Modal {
+    constructor(app, kind, entry, conflicts, onDrop) {
+        super(app);
+        this.kind = kind;
+        this.entry = entry;
+        this.conflicts = conflicts;
+        this.onDrop = onDrop;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.modalEl.addClass("reading-highlighter-conflict-modal");
+        contentEl.empty();
+
+        contentEl.createEl("h2", { text: `Cannot ${this.kind} "${this.entry.label}"` });
+        contentEl.createEl("p", {
+            text: "This part of the note was edited after the highlight was made. The note has been left unchanged.",
+            cls: "conflict-desc"
+        });
+
+        this.conflicts.forEach(({ hunk, found }) => {
+            const block = contentEl.createDiv({ cls: "conflict-block" });
+
+            block.createEl("strong", { text: "Expected" });
+            const expected = block.createDiv({ cls: "conflict-preview" });
+            expected.createSpan({ text: hunk.before || "" });
+            expected.createSpan({ cls: "conflict-removed", text: hunk.deleted });
+            expected.createSpan({ cls: "conflict-added", text: hunk.inserted });
+            expected.createSpan({ text: hunk.after || "" });
+
+            block.createEl("strong", { text: "Now in note" });
+            block.createDiv({ cls: "conflict-preview", text: found || "(empty)" });
+        });
+
+        new Setting(contentEl)
+            .addButton(btn => btn
+                .setButtonText("Keep note unchanged")
+                .onClick(() => this.close()))
+            .addButton(btn => btn
+                .setButtonText(`Skip this ${this.kind} step`)
+                .setWarning()
+                .onClick(() => {
+                    this.onDrop();
+                    this.close();
+                }));
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
@@ -0,0 +1,34 @@
+import { setIcon } from "obsidian";
+
+/**
+ * Render a highlight's annotation under it, with edit and delete buttons.
+ * Used by the Navigator and the Research View.
+ * @param {HTMLElement} containerEl - The highlight item
+ * @param {object} plugin
+ * @param {TFile} file - Note the highlight lives in
+ * @param {object} h - Parsed highlight with `footnote` and `note`
+ */
+export function renderAnnotationRow(containerEl, plugin, file, h) {
+    if (!h.footnote || !h.note) return null;
+    containerEl.addClass("has-annotation");
+
+    const row = containerEl.createDiv({ cls: "highlight-annotation" });
+    row.createSpan({ cls: "highlight-annotation-text", text: h.note });
+
+    const actions = row.createDiv({ cls: "highlight-annotation-actions" });
+    const editBtn = actions.createEl("button", { cls: "clickable-icon", attr: { "aria-label": "Edit annotation" } });
+    setIcon(editBtn, "pencil");
+    editBtn.onclick = (e) => {
+        e.stopPropagation();
+        plugin.promptEditAnnotation(file, h.footnote, h.note);
+    };
+
+    const deleteBtn = actions.createEl("button", { cls: "clickable-icon", attr: { "aria-label": "Delete annotation" } });
+    setIcon(deleteBtn, "trash-2");
+    deleteBtn.onclick = (e) => {
+        e.stopPropagation();
+        plugin.editAnnotation(file, h.footnote, "");
+    };
+
+    return row;
+}
@@ -1,5 +1,13 @@
 import { setIcon, MarkdownView, Platform } from "obsidian";
 
+// Inline formats offered in the toolbar, in button order
+const FORMAT_BUTTONS = [
+    { format: "bold", icon: "bold", label: "Bold" },
+    { format: "italic", icon: "italic", label: "Italic" },
+    { format: "strikethrough", icon: "strikethrough", label: "Strikethrough" },
+    { format: "code", icon: "code", label: "Inline code" },
+];
+
 export class FloatingManager {
     constructor(plugin) {
         this.plugin = plugin;
@@ -10,9 +18,16 @@ export class FloatingManager {
         this.removeBtn = null;
         this.quoteBtn = null;
         this.annotateBtn = null;
+        this.extractBtn = null;
+        this.linkBtn = null;
+        this.captureBtn = null;
+        this.taskBtn = null;
         this.extractAllBtn = null;
+        this.formatButtons = [];
         this.colorButtons = [];
         this.paletteContainer = null;
+        // Palette the color buttons currently show (the active note's profile)
+        this._palette = null;
         this._handlers = [];
 
         // Mobile gesture state
@@ -52,6 +67,8 @@ export class FloatingManager {
             this.containerEl = null;
         }
         this.colorButtons = [];
+        this.formatButtons = [];
+        this._palette = null;
         this.createElements();
         this.registerEvents();
     }
@@ -70,17 +87,7 @@ export class FloatingManager {
         if (this.plugin.settings.enableColorPalette) {
             this.paletteContainer = document.createElement("div");
             this.paletteContainer.addClass("reading-highlighter-palette");
-
-            this.plugin.settings.semanticColors.forEach((item, index) => {
-                const colorBtn = document.createElement("button");
-                colorBtn.addClass("reading-highlighter-color-btn");
-                colorBtn.style.backgroundColor = item.color;
-                colorBtn.setAttribute("aria-label", item.meaning || "Color " + (index + 1));
-                colorBtn.setAttribute("data-color-index", index.toString());
-                this.colorButtons.push(colorBtn);
-                this.paletteContainer.appendChild(colorBtn);
-            });
-
+            this.renderPalette(this.plugin.getPalette(this.app.workspace.getActiveFile()));
             this.containerEl.appendChild(this.paletteContainer);
         }
 
@@ -90,6 +97,16 @@ export class FloatingManager {
             this.containerEl.appendChild(this.tagBtn);
         }
 
+        // Formatting buttons
+        if (this.plugin.settings.showFormatButtons) {
+            FORMAT_BUTTONS.forEach(({ format, icon, label }) => {
+                const btn = this.createButton(icon, label);
+                btn.addClass("reading-highlighter-format-btn");
+                this.formatButtons.push({ btn, format });
+                this.containerEl.appendChild(btn);
+            });
+        }
+
         // Quote button
         if (this.plugin.settings.showQuoteButton) {
             this.quoteBtn = this.createButton("quote", "Copy as quote");
@@ -102,6 +119,34 @@ export class FloatingManager {
             this.containerEl.appendChild(this.annotateBtn);
         }
 
+        // Task button
+        if (this.plugin.settings.showTaskButton) {
+            this.taskBtn = this.createButton("check-square", "Create task");
+            this.taskBtn.addClass("reading-highlighter-task-btn");
+            this.containerEl.appendChild(this.taskBtn);
+        }
+
+        // Capture button
+        if (this.plugin.settings.showCaptureButton) {
+            this.captureBtn = this.createButton("inbox", "Send to capture note");
+            this.captureBtn.addClass("reading-highlighter-capture-btn");
+            this.containerEl.appendChild(this.captureBtn);
+        }
+
+        // Link button
+        if (this.plugin.settings.showLinkButton) {
+            this.linkBtn = this.createButton("link", "Link to note");
+            this.linkBtn.addClass("reading-highlighter-link-btn");
+            this.containerEl.appendChild(this.linkBtn);
+        }
+
+        // Extract to note button
+        if (this.plugin.settings.showExtractButton) {
+            this.extractBtn = this.createButton("file-plus", "Extract to new note");
+            this.extractBtn.addClass("reading-highlighter-extract-btn");
+            this.containerEl.appendChild(this.extractBtn);
+        }
+
         // Remove button
         if (this.plugin.settings.showRemoveButton) {
             this.removeBtn = this.createButton("trash-2", "Remove highlights");
@@ -117,6 +162,67 @@ export class FloatingManager {
         document.body.appendChild(this.containerEl);
     }
 
+    /**
+     * Show one button per color of `palette`, rebuilding only when it changed.
+     */
+    renderPalette(palette) {
+        if (!this.paletteContainer || palette === this._palette) return;
+        this._palette = palette;
+        this.paletteContainer.empty();
+        this.colorButtons = [];
+
+        palette.forEach((item, index) => {
+            const colorBtn = document.createElement("button");
+            colorBtn.addClass("reading-highlighter-color-btn");
+            if (item.style && item.style !== "background") {
+                colorBtn.setAttribute("data-hl-style", item.style);
+                colorBtn.style.setProperty("--hl-color", item.color);
+            } else {
+                colorBtn.style.backgroundColor = item.color;
+            }
+            if (item.icon) {
+                colorBtn.addClass("has-icon");
+                setIcon(colorBtn, item.icon);
+            }
+            colorBtn.setAttribute("aria-label", item.meaning || "Color " + (index + 1));
+            colorBtn.setAttribute("data-color-index", index.toString());
+            this.attachColorAction(colorBtn, index);
+            this.colorButtons.push(colorBtn);
+            this.paletteContainer.appendChild(colorBtn);
+        });
+    }
+
+    attachColorAction(btn, index) {
+        const handler = (evt) => {
+            evt.preventDefault();
+            evt.stopPropagation();
+            const { View } = require('obsidian');
+            let view = this.app.workspace.getActiveViewOfType(MarkdownView);
+            let isPdf = false;
+
+            if (!view || view.getMode() !== "preview") {
+                view = this.app.workspace.getActiveViewOfType(View);
+                if (view && view.getViewType() === "pdf") {
+                    isPdf = true;
+                } else {
+                    this.hide();
+                    return;
+                }
+            }
+
+            if (isPdf) {
+                this.plugin.savePdfHighlight(view, this._selectionSnapshot, "color", index);
+            } else {
+                this.plugin.applyColorByIndex(view, index, this._selectionSnapshot);
+            }
+
+            this.hide();
+        };
+
+        btn.addEventListener("mousedown", handler);
+        btn.addEventListener("touchstart", handler, { passive: false });
+    }
+
     createButton(iconName, label) {
         const btn = document.createElement("button");
         setIcon(btn, iconName);
@@ -134,7 +240,7 @@ export class FloatingManager {
             evt.stopPropagation();
         };
 
-        const attachAction = (btn, actionName) => {
+        const attachAction = (btn, actionName, ...args) => {
             if (!btn) return;
 
             const handler = (evt) => {
@@ -156,7 +262,7 @@ export class FloatingManager {
                 if (isPdf) {
                     this.plugin.savePdfHighlight(view, this._selectionSnapshot, "action", actionName);
                 } else {
-                    this.plugin[actionName](view, this._selectionSnapshot);
+                    this.plugin[actionName](view, this._selectionSnapshot, ...args);
                 }
                 
                 this.hide();
@@ -171,7 +277,12 @@ export class FloatingManager {
         attachAction(this.tagBtn, "tagSelection");
         attachAction(this.quoteBtn, "copyAsQuote");
         attachAction(this.annotateBtn, "annotateSelection");
+        attachAction(this.extractBtn, "extractToNote");
+        attachAction(this.linkBtn, "linkSelection");
+        attachAction(this.captureBtn, "sendToCapture");
+        attachAction(this.taskBtn, "createTaskFromSelection");
         attachAction(this.removeBtn, "removeHighlightSelection");
+        this.formatButtons.forEach(({ btn, format }) => attachAction(btn, "formatSelection", format));
 
         // Special: Extract All PDF
         if (this.extractAllBtn) {
@@ -187,37 +298,6 @@ export class FloatingManager {
             this.extractAllBtn.addEventListener("mousedown", handler);
             this.extractAllBtn.addEventListener("touchstart", handler, { passive: false });
         }
-
-        // Color palette buttons
-        this.colorButtons.forEach((btn, index) => {
-            const handler = (evt) => {
-                preventFocus(evt);
-                const { View } = require('obsidian');
-                let view = this.app.workspace.getActiveViewOfType(MarkdownView);
-                let isPdf = false;
-                
-                if (!view || view.getMode() !== "preview") {
-                    view = this.app.workspace.getActiveViewOfType(View);
-                    if (view && view.getViewType() === "pdf") {
-                        isPdf = true;
-                    } else {
-                        this.hide();
-                        return;
-                    }
-                }
-
-                if (isPdf) {
-                    this.plugin.savePdfHighlight(view, this._selectionSnapshot, "color", index);
-                } else {
-                    this.plugin.applyColorByIndex(view, index, this._selectionSnapshot);
-                }
-                
-                this.hide();
-            };
-
-            btn.addEventListener("mousedown", handler);
-            btn.addEventListener("touchstart", handler, { passive: false });
-        });
     }
 
     setupMobileGestures() {
@@ -289,6 +369,7 @@ export class FloatingManager {
         }
 
         this.containerEl.toggleClass("is-pdf-view", isPdf);
+        this.renderPalette(this.plugin.getPalette(view.file));
 
         const sel = window.getSelection();
         const snippet = sel?.toString() ?? "";
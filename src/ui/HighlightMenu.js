@@ -0,0 +1,100 @@
+import { Menu } from "obsidian";
+import { TagSuggestModal } from "../modals/TagSuggestModal";
+import { AnnotationModal } from "../modals/AnnotationModal";
+import { setHighlightTags, setHighlightNote } from "../core/HighlightEditor";
+import { paletteKey } from "../core/HighlightQuery";
+import { colorTags, findTagColor } from "../core/PaletteProfiles";
+
+/**
+ * Context menu for an existing highlight: recolor, convert between `==` and
+ * `<mark>`, add or remove tags, add, edit or delete its note, and copy a
+ * link to it. Every edit rewrites only that highlight through
+ * `plugin.editHighlight`.
+ * @param {object} plugin
+ * @param {TFile} file
+ * @param {object} h - Parsed highlight
+ * @param {MouseEvent} evt - Positions the menu
+ */
+export function showHighlightMenu(plugin, file, h, evt) {
+    const menu = new Menu();
+    const current = paletteKey(h.color, h.style);
+
+    const palette = plugin.getPalette(file);
+    palette.forEach((entry) => {
+        menu.addItem((item) => item
+            .setTitle(entry.meaning || entry.color)
+            .setIcon(current === paletteKey(entry.color, entry.style) ? "check" : entry.icon || "palette")
+            .onClick(() => plugin.recolorExistingHighlight(file, h, entry.color, plugin.getPaletteMarkup(entry.color, entry), colorTags(entry))));
+    });
+
+    menu.addSeparator();
+    if (h.color) {
+        menu.addItem((item) => item
+            .setTitle("Convert to == highlight")
+            .setIcon("highlighter")
+            .onClick(() => plugin.recolorExistingHighlight(file, h, null)));
+    } else {
+        const color = plugin.settings.highlightColor || palette[0]?.color;
+        if (color) {
+            menu.addItem((item) => item
+                .setTitle("Convert to <mark> highlight")
+                .setIcon("code")
+                .onClick(() => plugin.recolorExistingHighlight(file, h, color)));
+        }
+    }
+
+    menu.addSeparator();
+    menu.addItem((item) => item
+        .setTitle("Add tags...")
+        .setIcon("tag")
+        .onClick(() => {
+            new TagSuggestModal(plugin, (result) => {
+                const added = result.split(/\s+/).map((tag) => tag.replace(/^#/, "")).filter(Boolean);
+                const tags = Array.from(new Set([...(h.tags || []), ...added]));
+                // A tag bound to a palette color also applies that color
+                const bound = plugin.settings.enableColorPalette ? findTagColor(palette, added) : null;
+                if (bound) {
+                    plugin.recolorExistingHighlight(file, h, bound.color, plugin.getPaletteMarkup(bound.color, bound), tags);
+                } else {
+                    plugin.editHighlight(file, h, "Add tags", (raw, target) => setHighlightTags(raw, target, tags));
+                }
+            }).open();
+        }));
+    (h.tags || []).forEach((tag) => {
+        menu.addItem((item) => item
+            .setTitle(`Remove #${tag}`)
+            .setIcon("x")
+            .onClick(() => {
+                const tags = h.tags.filter((t) => t !== tag);
+                plugin.editHighlight(file, h, "Remove tag", (raw, target) => setHighlightTags(raw, target, tags));
+            }));
+    });
+
+    menu.addSeparator();
+    menu.addItem((item) => item
+        .setTitle(h.note ? "Edit note..." : "Add note...")
+        .setIcon("message-square")
+        .onClick(() => {
+            const options = h.note ? { title: "Edit Annotation", value: h.note, submitText: "Save" } : {};
+            new AnnotationModal(plugin.app, (comment) => {
+                plugin.editHighlight(file, h, h.note ? "Edit annotation" : "Annotation", (raw, target) =>
+                    setHighlightNote(raw, target, comment)
+                );
+            }, options).open();
+        }));
+    if (h.note) {
+        menu.addItem((item) => item
+            .setTitle("Delete note")
+            .setIcon("trash-2")
+            .onClick(() => plugin.editHighlight(file, h, "Delete annotation", (raw, target) => setHighlightNote(raw, target, ""))));
+    }
+
+    menu.addSeparator();
+    menu.addItem((item) => item
+        .setTitle("Copy link to highlight")
+        .setIcon("link")
+        .onClick(() => plugin.copyHighlightLink(file, h)));
+
+    menu.showAtMouseEvent(evt);
+    return menu;
+}
@@ -3,10 +3,34 @@
  * Grouped visually by file.
  */
 
+import { formatHighlight } from "../core/HighlightEditor";
+
 function generateId() {
     return Math.random().toString(36).substring(2, 12) + Math.random().toString(36).substring(2, 12);
 }
 
+// Canvas colors by hue: 1:red, 2:orange, 3:yellow, 4:green, 5:cyan, 6:purple
+const CANVAS_HUES = [[15, "1"], [46, "2"], [70, "3"], [180, "4"], [225, "5"], [345, "6"], [360, "1"]];
+
+/**
+ * Closest canvas color for a highlight color, by hue, so edited palette
+ * colors still map. Gray and unparsable colors get the default card color.
+ */
+export function canvasColorFor(color) {
+    let hex = (color || "").trim().replace(/^#/, "");
+    if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.replace(/./g, "$&$&");
+    if (!/^[0-9a-f]{6}/i.test(hex)) return "";
+    const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.substring(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    if (delta < 0.05) return "";
+    let hue;
+    if (max === r) hue = 60 * (((g - b) / delta + 6) % 6);
+    else if (max === g) hue = 60 * ((b - r) / delta + 2);
+    else hue = 60 * ((r - g) / delta + 4);
+    return CANVAS_HUES.find(([limit]) => hue < limit)[1];
+}
+
 export async function exportHighlightsToCanvas(app, allHighlights) {
     if (!allHighlights || allHighlights.length === 0) {
         throw new Error("No highlights to export.");
@@ -49,25 +73,22 @@ export async function exportHighlightsToCanvas(app, allHighlights) {
 
         let rowIndex = 1;
         for (const h of group.highlights) {
-            const hNodeId = generateId();
+            // Stable highlight ids keep card ids consistent across exports
+            const hNodeId = h.id || generateId();
             
-            // Try to map a semantic color to a canvas color index if available
-            // Canvas colors: 1:red, 2:orange, 3:yellow, 4:green, 5:cyan, 6:purple
-            let canvasColor = "";
-            if (h.color) {
-                const colorMap = {
-                    "#ffcdd2": "1", "#f8bbd0": "6", "#e1bee7": "6", "#d1c4e9": "6",
-                    "#c5cae9": "6", "#bbdefb": "5", "#b3e5fc": "5", "#b2ebf2": "5",
-                    "#b2dfdb": "4", "#c8e6c9": "4", "#dcedc8": "4", "#f0f4c0": "3",
-                    "#fff9c4": "3", "#ffecb3": "2", "#ffe0b2": "2"
-                };
-                canvasColor = colorMap[h.color.toLowerCase()] || "";
-            }
+            const canvasColor = h.color ? canvasColorFor(h.color) : "";
+
+            // Link straight to the highlight's block when it has one
+            const anchor = h.blockId ? `#^${h.blockId}` : h.heading ? `#${h.heading}` : "";
+            const tagLine = h.tags?.length ? `\n\n${h.tags.map((tag) => `#${tag}`).join(" ")}` : "";
+            const noteLine = h.note ? `\n\n> ${h.note}` : "";
+            // Styled highlights keep their markup so the card shows the underline, box, ...
+            const text = h.style && h.color ? formatHighlight(h.text, h.color, { style: h.style }) : h.text;
 
             nodes.push({
                 id: hNodeId,
                 type: "text",
-                text: `${h.text}\n\n— [[${group.file.path}|${group.file.basename}]]`,
+                text: `${text}${tagLine}${noteLine}\n\n— [[${group.file.path}${anchor}|${group.file.basename}]]`,
                 x: currentX,
                 y: rowIndex * (ROW_HEIGHT + ROW_SPACING),
                 width: COLUMN_WIDTH,
@@ -0,0 +1,69 @@
+/**
+ * Date range helpers for filtering highlights by when they were made.
+ */
+
+export const DATE_PRESETS = [
+    { id: "all", label: "Any time" },
+    { id: "today", label: "Today" },
+    { id: "week", label: "This week" },
+    { id: "month", label: "This month" },
+    { id: "custom", label: "Custom range" },
+];
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Resolve a preset to a `{ from, to }` range of timestamps (ms, inclusive from,
+ * exclusive to). Returns null for "all" and "custom".
+ * @param {string} preset
+ * @param {Date} now
+ * @param {number} weekStart - 0 = Sunday, 1 = Monday
+ */
+export function getPresetRange(preset, now = new Date(), weekStart = 1) {
+    const today = startOfDay(now);
+    if (preset === "today") {
+        const to = new Date(today);
+        to.setDate(to.getDate() + 1);
+        return { from: today.getTime(), to: to.getTime() };
+    }
+    if (preset === "week") {
+        const from = new Date(today);
+        from.setDate(from.getDate() - ((today.getDay() - weekStart + 7) % 7));
+        const to = new Date(from);
+        to.setDate(to.getDate() + 7);
+        return { from: from.getTime(), to: to.getTime() };
+    }
+    if (preset === "month") {
+        const from = new Date(today.getFullYear(), today.getMonth(), 1);
+        const to = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+        return { from: from.getTime(), to: to.getTime() };
+    }
+    return null;
+}
+
+/**
+ * Build a range from two `YYYY-MM-DD` inputs. Either side may be empty; the
+ * end date is inclusive.
+ */
+export function getCustomRange(fromValue, toValue) {
+    const parse = (value) => {
+        const match = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    };
+    const from = parse(fromValue);
+    const to = parse(toValue);
+    if (!from && !to) return null;
+    if (to) to.setDate(to.getDate() + 1);
+    return {
+        from: from ? from.getTime() : -Infinity,
+        to: to ? to.getTime() : Infinity,
+    };
+}
+
+export function isInRange(timestamp, range) {
+    if (!range) return true;
+    if (typeof timestamp !== "number") return false;
+    return timestamp >= range.from && timestamp < range.to;
+}
@@ -1,47 +1,47 @@
+import { parseHighlights } from "../core/HighlightParser";
+import { ensureBlockId } from "../core/HighlightEditor";
+
 /**
  * Export highlights from a file to a new markdown file.
  * Finds all ==text== and <mark>text</mark> elements and creates a summary.
+ * When a highlight index is given, each entry also records the stable ids
+ * of the highlights it embeds. `options` are passed to `parseHighlights`.
  */
-export async function exportHighlightsToMD(app, file) {
+export async function exportHighlightsToMD(app, file, index = null, options = {}) {
     let raw = await app.vault.read(file);
     let changed = false;
 
-    const lines = raw.split("\n");
+    let found = getHighlightsFromContent(raw, options);
+    if (index) {
+        found = index.syncFile(file.path, found, file.stat.mtime).highlights;
+    }
+
     const highlights = [];
 
-    const markdownPattern = /==(.*?)==/g;
-    const htmlPattern = /<mark[^>]*>(.*?)<\/mark>/g;
-
-    lines.forEach((line, lineIdx) => {
-        let hasHighlight = false;
-
-        let match;
-        // reset regex state if not creating new ones per line
-        const mdRegex = new RegExp(markdownPattern);
-        while ((match = mdRegex.exec(line)) !== null) {
-            hasHighlight = true;
-        }
-        
-        const htmlRegex = new RegExp(htmlPattern);
-        while ((match = htmlRegex.exec(line)) !== null) {
-            hasHighlight = true;
-        }
-
-        if (hasHighlight) {
-            let blockMatch = lines[lineIdx].match(/\s(\^[a-zA-Z0-9-]+)$/);
-            let blockId = "";
-            if (blockMatch) {
-                blockId = blockMatch[1];
-            } else {
-                blockId = "^" + Math.random().toString(36).substring(2, 8);
-                lines[lineIdx] = lines[lineIdx] + " " + blockId;
-                changed = true;
-            }
-
-            highlights.push({
-                text: `![[${file.basename}#${blockId}]]`
-            });
-        }
+    // One embed per block; highlights in the same paragraph share it
+    const blocks = new Map();
+    for (const h of found) {
+        if (!blocks.has(h.blockLine)) blocks.set(h.blockLine, { highlight: h, blockId: h.blockId, ids: [], notes: [] });
+        if (h.id) blocks.get(h.blockLine).ids.push(h.id);
+        if (h.note) blocks.get(h.blockLine).notes.push({ text: h.text, note: h.note });
+    }
+    const blockLines = Array.from(blocks.keys()).sort((a, b) => a - b);
+
+    // From the end, so ids added below tables do not shift the blocks above
+    for (const lineIdx of [...blockLines].reverse()) {
+        const block = blocks.get(lineIdx);
+        if (block.blockId) continue;
+        ({ content: raw, blockId: block.blockId } = ensureBlockId(raw, block.highlight));
+        changed = true;
+    }
+
+    blockLines.forEach((lineIdx) => {
+        const block = blocks.get(lineIdx);
+        highlights.push({
+            text: `![[${file.basename}#^${block.blockId}]]`,
+            ids: block.ids,
+            notes: block.notes
+        });
     });
 
     if (highlights.length === 0) {
@@ -49,7 +49,7 @@ export async function exportHighlightsToMD(app, file) {
     }
 
     if (changed) {
-        await app.vault.modify(file, lines.join("\n"));
+        await app.vault.modify(file, raw);
     }
 
     // Get current date
@@ -66,7 +66,7 @@ export async function exportHighlightsToMD(app, file) {
 
 ---
 
-${highlights.map((h, i) => `${i + 1}. ${h.text}`).join("\n\n")}
+${highlights.map((h, i) => `${i + 1}. ${h.text}${h.ids.length ? ` %%${h.ids.join(" ")}%%` : ""}${formatNotes(h.notes)}`).join("\n\n")}
 
 ---
 
@@ -91,34 +91,18 @@ ${highlights.map((h, i) => `${i + 1}. ${h.text}`).join("\n\n")}
 }
 
 /**
- * Get all highlights from a file for the navigator view.
- * Returns array of { text, type, position, context }
+ * Annotations of an exported block, as sub-items under its embed.
  */
-export function getHighlightsFromContent(raw) {
-    const highlights = [];
-    const lines = raw.split("\n");
-    lines.forEach((line, lineIdx) => {
-        let match;
-        const markdownPattern = /==(.*?)==/g;
-        const htmlPattern = /<mark[^>]*>(.*?)<\/mark>/g;
-        
-        while ((match = markdownPattern.exec(line)) !== null) {
-            highlights.push({
-                text: match[1].trim(),
-                line: lineIdx,
-                type: "markdown"
-            });
-        }
-        while ((match = htmlPattern.exec(line)) !== null) {
-            const colorMatch = match[0].match(/background:\s*([^;>"]+)/);
-            highlights.push({
-                text: match[1].trim(),
-                line: lineIdx,
-                type: "html",
-                color: colorMatch ? colorMatch[1].trim() : null
-            });
-        }
-    });
+function formatNotes(notes) {
+    return notes.map((n) => `\n    - *${n.text}*: ${n.note.replace(/\s*\n\s*/g, " ")}`).join("");
+}
 
-    return highlights;
+/**
+ * Get all highlights from a file for the navigator view, research view and
+ * exports. See `parseHighlights` for the shape of each entry; start/end are
+ * offsets of the full markup in `raw`. `options` are passed to
+ * `parseHighlights`, e.g. `{ classes }` to resolve class-based colors.
+ */
+export function getHighlightsFromContent(raw, options = {}) {
+    return parseHighlights(raw, options);
 }
@@ -1,5 +1,7 @@
 import { ItemView, MarkdownView, Platform } from "obsidian";
-import { getHighlightsFromContent } from "../utils/export";
+import { DATE_PRESETS, getPresetRange, isInRange } from "../utils/dates";
+import { renderAnnotationRow } from "../ui/AnnotationRow";
+import { showHighlightMenu } from "../ui/HighlightMenu";
 
 export const HIGHLIGHT_NAVIGATOR_VIEW = "highlight-navigator";
 
@@ -16,6 +18,7 @@ export class HighlightNavigatorView extends ItemView {
         this.currentFile = null;
         this.viewMode = "highlights"; // 'highlights', 'footnotes', or 'split'
         this.searchQuery = ""; // Search filter
+        this.datePreset = "all"; // Date filter for highlights
     }
 
     getViewType() {
@@ -70,6 +73,17 @@ export class HighlightNavigatorView extends ItemView {
             this.renderContent();
         };
 
+        // Date Filter (presets only; the Research View offers custom ranges)
+        const dateSelect = container.createEl("select", { cls: "highlight-navigator-date-select" });
+        DATE_PRESETS.filter(p => p.id !== "custom").forEach(p => {
+            dateSelect.createEl("option", { text: p.label, value: p.id });
+        });
+        dateSelect.value = this.datePreset;
+        dateSelect.onchange = (e) => {
+            this.datePreset = e.target.value;
+            this.renderContent();
+        };
+
         // Content area
         this.contentEl = container.createDiv({ cls: "highlight-navigator-content" });
 
@@ -121,7 +135,7 @@ export class HighlightNavigatorView extends ItemView {
 
         try {
             const raw = await this.app.vault.read(view.file);
-            this.highlights = getHighlightsFromContent(raw);
+            this.highlights = this.plugin.indexHighlights(view.file, raw);
             this.footnotes = this.getFootnotesFromContent(raw);
             this.renderContent();
         } catch (err) {
@@ -180,14 +194,19 @@ export class HighlightNavigatorView extends ItemView {
     }
 
     renderList(container, items, type) {
-        // Filter items based on search query
+        // Filter items based on search query and, for highlights, the date preset
+        const range = type === "highlights" ? getPresetRange(this.datePreset) : null;
         const filteredItems = items.filter(item => {
+            if (range && !isInRange(item.created, range)) return false;
             if (!this.searchQuery) return true;
-            return item.text.toLowerCase().includes(this.searchQuery);
+            return item.text.toLowerCase().includes(this.searchQuery) ||
+                (item.note || "").toLowerCase().includes(this.searchQuery);
         });
 
         if (filteredItems.length === 0) {
-            if (this.searchQuery) {
+            if (range) {
+                this.showEmpty(`No highlights from ${DATE_PRESETS.find(p => p.id === this.datePreset).label.toLowerCase()}.`, container);
+            } else if (this.searchQuery) {
                 this.showEmpty(`No matches for "${this.searchQuery}".`, container);
             } else {
                 this.showEmpty(`No ${type} found.`, container);
@@ -199,7 +218,7 @@ export class HighlightNavigatorView extends ItemView {
         const stats = container.createDiv({ cls: "highlight-navigator-stats" });
         
         let statsText = `${filteredItems.length} ${title.toLowerCase()}`;
-        if (this.searchQuery && filteredItems.length !== items.length) {
+        if (filteredItems.length !== items.length) {
             statsText += ` (filtered from ${items.length})`;
         }
         stats.createSpan({ text: statsText });
@@ -210,6 +229,7 @@ export class HighlightNavigatorView extends ItemView {
         filteredItems.forEach((item, index) => {
             const el = document.createElement("div");
             el.addClass("highlight-navigator-item");
+            if (item.id) el.setAttribute("data-hl-id", item.id);
 
             if (type === "highlights") {
                 // Color indicator
@@ -244,6 +264,9 @@ export class HighlightNavigatorView extends ItemView {
                 numberBadge.addClass("highlight-number");
                 numberBadge.textContent = `${index + 1}`;
                 el.appendChild(numberBadge);
+
+                // Annotation attached to this highlight
+                renderAnnotationRow(el, this.plugin, this.currentFile, item);
             }
 
             // Click to jump to line
@@ -253,6 +276,15 @@ export class HighlightNavigatorView extends ItemView {
                 this.jumpToLine(item.line);
             };
 
+            // Right-click to edit the highlight in place
+            if (type === "highlights") {
+                el.oncontextmenu = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    showHighlightMenu(this.plugin, this.currentFile, item, e);
+                };
+            }
+
             fragment.appendChild(el);
         });
 
@@ -284,7 +316,7 @@ export class HighlightNavigatorView extends ItemView {
 
         try {
             const { exportHighlightsToMD } = await import("../utils/export");
-            const exportPath = await exportHighlightsToMD(this.app, this.currentFile);
+            const exportPath = await exportHighlightsToMD(this.app, this.currentFile, this.plugin.highlightIndex, { classes: this.plugin.paletteClasses });
 
             // Open the exported file
             const exportFile = this.app.vault.getAbstractFileByPath(exportPath);
@@ -0,0 +1,104 @@
+import { MarkdownRenderChild, MarkdownView, debounce } from "obsidian";
+import { parseHighlightBlock, parseQuery, matchesQuery, sortHighlights } from "../core/HighlightQuery";
+
+export const HIGHLIGHTS_BLOCK = "highlights";
+
+/**
+ * Live result list for a ```highlights code block. Reads the plugin's shared
+ * VaultScanner and re-renders when its cache changes.
+ */
+export class HighlightsBlockRenderer extends MarkdownRenderChild {
+    constructor(containerEl, plugin, source, sourcePath) {
+        super(containerEl);
+        this.plugin = plugin;
+        this.source = source;
+        this.sourcePath = sourcePath;
+        this.requestRender = debounce(() => this.render(), 1000, true);
+    }
+
+    onload() {
+        this.containerEl.addClass("reading-highlighter-block");
+        this.register(this.plugin.vaultScanner.onChange(() => this.requestRender()));
+        this.render();
+    }
+
+    render() {
+        const options = parseHighlightBlock(this.source);
+        let ast = null;
+        let queryError = null;
+        try {
+            ast = parseQuery(options.query);
+        } catch (err) {
+            queryError = err.message;
+        }
+
+        const errors = queryError ? [...options.errors, queryError] : options.errors;
+        if (errors.length > 0) {
+            this.containerEl.empty();
+            const errorEl = this.containerEl.createDiv({ cls: "reading-highlighter-block-error" });
+            errors.forEach((message) => errorEl.createDiv({ text: message }));
+            return;
+        }
+
+        const scanner = this.plugin.vaultScanner;
+        const results = scanner.getResults();
+
+        const context = { palette: this.plugin.getAllPaletteColors() };
+        const matches = [];
+        for (const res of results) {
+            for (const h of res.highlights) {
+                const item = { ...h, file: res.file, frontmatter: res.frontmatter };
+                if (matchesQuery(ast, item, context)) matches.push(item);
+            }
+        }
+        const sorted = sortHighlights(matches, options.sort);
+        const shown = options.limit ? sorted.slice(0, options.limit) : sorted;
+
+        this.containerEl.empty();
+        if (shown.length === 0) {
+            this.containerEl.createDiv({
+                cls: "reading-highlighter-block-empty",
+                text: scanner.isReady ? "No matching highlights." : "Indexing highlights...",
+            });
+            return;
+        }
+
+        const listEl = this.containerEl.createEl("ul", { cls: "reading-highlighter-block-list" });
+        for (const h of shown) {
+            const itemEl = listEl.createEl("li", { cls: "reading-highlighter-block-item" });
+            if (h.id) itemEl.dataset.hlId = h.id;
+
+            if (h.color) {
+                const dot = itemEl.createSpan({ cls: "research-color-dot" });
+                dot.style.backgroundColor = h.color;
+            }
+            const textEl = itemEl.createSpan({ cls: "reading-highlighter-block-text", text: h.text });
+            if (h.note) textEl.createDiv({ cls: "reading-highlighter-block-note", text: h.note });
+
+            const link = itemEl.createEl("a", {
+                cls: "internal-link reading-highlighter-block-source",
+                text: h.file.basename,
+                attr: { href: h.file.path, "data-href": h.file.path },
+            });
+            link.onclick = (e) => {
+                e.preventDefault();
+                this.openHighlight(h.file, h.line, e.ctrlKey || e.metaKey);
+            };
+        }
+
+        if (shown.length < sorted.length) {
+            this.containerEl.createDiv({
+                cls: "reading-highlighter-block-more",
+                text: `Showing ${shown.length} of ${sorted.length} highlights.`,
+            });
+        }
+    }
+
+    async openHighlight(file, line, newTab) {
+        const leaf = this.plugin.app.workspace.getLeaf(newTab ? "tab" : false);
+        await leaf.openFile(file);
+        if (leaf.view instanceof MarkdownView) {
+            leaf.setEphemeralState({ line, focus: true });
+        }
+    }
+}
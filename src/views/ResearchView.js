@@ -1,6 +1,9 @@
-import { ItemView, MarkdownView } from "obsidian";
-import { VaultScanner } from "../core/VaultScanner";
+import { ItemView, MarkdownView, Notice, debounce } from "obsidian";
 import { exportHighlightsToCanvas } from "../utils/canvas";
+import { DATE_PRESETS, getPresetRange, getCustomRange, isInRange } from "../utils/dates";
+import { parseQuery, matchesQuery, paletteKey } from "../core/HighlightQuery";
+import { TextPromptModal } from "../modals/TextPromptModal";
+import { renderAnnotationRow } from "../ui/AnnotationRow";
 
 export const RESEARCH_VIEW = "reader-research-view";
 
@@ -8,19 +11,25 @@ export class ResearchView extends ItemView {
     constructor(leaf, plugin) {
         super(leaf);
         this.plugin = plugin;
-        this.scanner = new VaultScanner(plugin.app);
+        this.scanner = plugin.vaultScanner;
         
         this.scanResults = [];
-        this.searchQuery = "";
+        this.searchQuery = ""; // raw query text
+        this.queryAst = null; // last successfully parsed query
         this.filterKey = "All Properties"; // default
         this.filterValue = "";
         this.allPropertyKeys = new Set();
-        this.activeColors = new Set();
+        this.activeColors = new Set(); // paletteKey of each selected color chip
+        this.datePreset = "all";
+        this.dateFrom = "";
+        this.dateTo = "";
         this.isScanning = false;
         this.expandedFiles = new Set(); // store file.path of expanded files
         
         this.progressEl = null;
         this.progressTextEl = null;
+        this.unsubscribe = null;
+        this.requestRefresh = debounce(() => this.loadResults(), 500, true);
     }
 
     getViewType() {
@@ -46,23 +55,70 @@ export class ResearchView extends ItemView {
         const titleRow = header.createDiv({ cls: "research-view-title-row" });
         titleRow.createEl("h3", { text: "Research View" });
         
-        const scanBtn = titleRow.createEl("button", { text: "Scan Vault", cls: "mod-cta" });
+        const scanBtn = titleRow.createEl("button", { text: "Rebuild Index" });
+        scanBtn.title = "Re-read every note. Highlights normally update automatically.";
         scanBtn.onclick = () => this.startScan();
 
         const canvasBtn = titleRow.createEl("button", { text: "Export Canvas" });
         canvasBtn.onclick = () => this.exportToCanvas();
 
-        // Search Bar & Date Filter
+        // Query Bar & Date Filter
         const searchContainer = header.createDiv({ cls: "research-view-search" });
         
-        const searchInput = searchContainer.createEl("input", { 
+        this.searchInput = searchContainer.createEl("input", { 
             type: "text", 
-            placeholder: "Search all highlights...",
+            placeholder: 'Search or query, e.g. color:"Key Concept" AND -text:draft',
             cls: "research-search-input"
         });
+        this.queryErrorEl = searchContainer.createDiv({ cls: "research-query-error" });
+        this.queryErrorEl.style.display = "none";
         
-        searchInput.oninput = (e) => {
-            this.searchQuery = e.target.value.toLowerCase();
+        this.searchInput.oninput = (e) => {
+            this.setQuery(e.target.value);
+        };
+
+        // Saved Queries
+        const savedRow = header.createDiv({ cls: "research-view-saved-queries" });
+        this.savedSelect = savedRow.createEl("select", { cls: "research-saved-select" });
+        this.savedSelect.onchange = (e) => {
+            const saved = this.plugin.settings.savedQueries.find(q => q.name === e.target.value);
+            if (saved) {
+                this.searchInput.value = saved.query;
+                this.setQuery(saved.query);
+            }
+        };
+        const saveBtn = savedRow.createEl("button", { text: "Save Query" });
+        saveBtn.onclick = () => this.saveCurrentQuery();
+        const deleteBtn = savedRow.createEl("button", { text: "Delete" });
+        deleteBtn.onclick = () => this.deleteSavedQuery();
+        this.updateSavedQueries();
+
+        const dateRow = header.createDiv({ cls: "research-view-date-filter" });
+        const presetSelect = dateRow.createEl("select", { cls: "research-date-select" });
+        DATE_PRESETS.forEach(preset => {
+            presetSelect.createEl("option", { text: preset.label, value: preset.id });
+        });
+        presetSelect.value = this.datePreset;
+
+        const customRange = dateRow.createDiv({ cls: "research-date-custom" });
+        customRange.style.display = this.datePreset === "custom" ? "" : "none";
+        const fromInput = customRange.createEl("input", { type: "date", cls: "research-date-input" });
+        customRange.createSpan({ text: "–" });
+        const toInput = customRange.createEl("input", { type: "date", cls: "research-date-input" });
+        fromInput.value = this.dateFrom;
+        toInput.value = this.dateTo;
+
+        presetSelect.onchange = (e) => {
+            this.datePreset = e.target.value;
+            customRange.style.display = this.datePreset === "custom" ? "" : "none";
+            this.renderContent();
+        };
+        fromInput.onchange = (e) => {
+            this.dateFrom = e.target.value;
+            this.renderContent();
+        };
+        toInput.onchange = (e) => {
+            this.dateTo = e.target.value;
             this.renderContent();
         };
 
@@ -93,8 +149,13 @@ export class ResearchView extends ItemView {
         // Semantic Color Filters
         if (this.plugin.settings.enableColorPalette) {
             const filterContainer = header.createDiv({ cls: "research-view-color-filters" });
-            this.plugin.settings.semanticColors.forEach((colorItem) => {
+            const shown = new Set();
+            this.plugin.getAllPaletteColors().forEach((colorItem) => {
                 if (!colorItem.meaning) return; // Only show colors that have a meaning defined
+                // Profiles may repeat a color; one chip per look
+                const look = paletteKey(colorItem.color, colorItem.style);
+                if (shown.has(look)) return;
+                shown.add(look);
 
                 const chip = filterContainer.createEl("button", { 
                     cls: "research-color-chip",
@@ -107,12 +168,12 @@ export class ResearchView extends ItemView {
                 chip.createSpan({ text: colorItem.meaning });
 
                 chip.onclick = () => {
-                    const lcColor = colorItem.color.toLowerCase();
-                    if (this.activeColors.has(lcColor)) {
-                        this.activeColors.delete(lcColor);
+                    const key = look;
+                    if (this.activeColors.has(key)) {
+                        this.activeColors.delete(key);
                         chip.removeClass("is-active");
                     } else {
-                        this.activeColors.add(lcColor);
+                        this.activeColors.add(key);
                         chip.addClass("is-active");
                     }
                     this.renderContent();
@@ -129,10 +190,41 @@ export class ResearchView extends ItemView {
         // Content Area
         this.contentEl = container.createDiv({ cls: "research-view-content" });
 
-        // Auto-scan on open so all highlights display by default
-        this.startScan();
+        // Show the cached index right away and follow it as notes change
+        this.unsubscribe = this.scanner.onChange(() => this.requestRefresh());
+
+        // Expand first file automatically if any
+        const [first] = this.scanner.getResults();
+        if (first) this.expandedFiles.add(first.file.path);
+        this.loadResults();
+    }
+
+    async onClose() {
+        this.unsubscribe?.();
+        this.unsubscribe = null;
     }
 
+    /**
+     * Pull the latest results from the plugin's always-on scanner.
+     */
+    loadResults() {
+        this.scanResults = this.scanner.getResults();
+
+        // Collect all property keys
+        this.allPropertyKeys.clear();
+        this.allPropertyKeys.add("All Properties");
+        for (const res of this.scanResults) {
+            if (res.frontmatter) {
+                Object.keys(res.frontmatter).forEach(key => this.allPropertyKeys.add(key));
+            }
+        }
+        this.updatePropertySelector();
+        this.renderContent();
+    }
+
+    /**
+     * Drop the cache and re-read every note, showing progress.
+     */
     async startScan() {
         if (this.isScanning) return;
         
@@ -141,34 +233,90 @@ export class ResearchView extends ItemView {
         this.contentEl.empty();
         
         try {
-            this.scanResults = await this.scanner.scanVault((current, total, lastFile) => {
+            this.scanner.clearCache();
+            await this.scanner.scanVault((current, total, lastFile) => {
                 const percent = Math.round((current / total) * 100);
                 this.progressEl.style.width = `${percent}%`;
                 this.progressTextEl.textContent = `Scanning: ${current}/${total} (${percent}%) - ${lastFile}...`;
             });
-            
-            // Collect all property keys
-            this.allPropertyKeys.clear();
-            this.allPropertyKeys.add("All Properties");
-            for (const res of this.scanResults) {
-                if (res.frontmatter) {
-                    Object.keys(res.frontmatter).forEach(key => this.allPropertyKeys.add(key));
-                }
-            }
-            this.updatePropertySelector();
-
-            // Expand first file automatically if any
-            if (this.scanResults.length > 0) {
-                this.expandedFiles.add(this.scanResults[0].file.path);
-            }
         } catch (err) {
             console.error(err);
             this.contentEl.createDiv({ text: "Error during scan: " + err.message, cls: "research-error" });
         } finally {
             this.isScanning = false;
             this.progressContainer.style.display = "none";
-            this.renderContent();
+            this.loadResults();
+        }
+    }
+
+    /**
+     * Parse the query text. On a syntax error the offending part is marked and
+     * the results keep using the last valid query.
+     */
+    setQuery(text) {
+        this.searchQuery = text.trim();
+        this.queryErrorEl.empty();
+        try {
+            this.queryAst = parseQuery(text);
+            this.searchInput.removeClass("is-invalid");
+            this.queryErrorEl.style.display = "none";
+        } catch (err) {
+            if (err.name !== "QueryParseError") throw err;
+            this.searchInput.addClass("is-invalid");
+            this.queryErrorEl.style.display = "block";
+            const preview = this.queryErrorEl.createDiv({ cls: "research-query-preview" });
+            preview.createSpan({ text: text.substring(0, err.start) });
+            preview.createSpan({ cls: "research-query-error-mark", text: text.substring(err.start, err.end) || " " });
+            preview.createSpan({ text: text.substring(err.end) });
+            this.queryErrorEl.createDiv({ cls: "research-query-message", text: err.message });
+        }
+        this.renderContent();
+    }
+
+    updateSavedQueries(selected = "") {
+        if (!this.savedSelect) return;
+        this.savedSelect.empty();
+        this.savedSelect.createEl("option", { text: "Saved queries…", value: "" });
+        this.plugin.settings.savedQueries.forEach(q => {
+            this.savedSelect.createEl("option", { text: q.name, value: q.name });
+        });
+        this.savedSelect.value = selected;
+    }
+
+    saveCurrentQuery() {
+        const query = this.searchInput.value.trim();
+        if (!query) {
+            new Notice("Type a query to save first.");
+            return;
         }
+        try {
+            parseQuery(query);
+        } catch {
+            new Notice("Fix the query before saving it.");
+            return;
+        }
+        new TextPromptModal(this.app, {
+            title: "Save Query",
+            placeholder: "Query name",
+            value: this.savedSelect.value,
+        }, async (name) => {
+            const saved = this.plugin.settings.savedQueries;
+            const existing = saved.find(q => q.name === name);
+            if (existing) existing.query = query;
+            else saved.push({ name, query });
+            await this.plugin.saveSettings();
+            this.updateSavedQueries(name);
+            new Notice(`Saved query "${name}".`);
+        }).open();
+    }
+
+    async deleteSavedQuery() {
+        const name = this.savedSelect.value;
+        if (!name) return;
+        this.plugin.settings.savedQueries = this.plugin.settings.savedQueries.filter(q => q.name !== name);
+        await this.plugin.saveSettings();
+        this.updateSavedQueries();
+        new Notice(`Deleted query "${name}".`);
     }
 
     updatePropertySelector() {
@@ -196,60 +344,13 @@ export class ResearchView extends ItemView {
         if (this.scanResults.length === 0) {
             this.contentEl.createDiv({ 
                 cls: "research-empty", 
-                text: "No highlights found. Click 'Scan Vault' to analyze." 
+                text: this.scanner.isReady ? "No highlights found." : "Indexing highlights..."
             });
             return;
         }
 
-        // Collect all highlights with file reference
-        let allHighlights = [];
-        for (const res of this.scanResults) {
-            for (const h of res.highlights) {
-                allHighlights.push({ ...h, file: res.file, frontmatter: res.frontmatter });
-            }
-        }
-
-        const totalHighlights = allHighlights.length;
-
-        // Apply property filter
-        if (this.filterKey && this.filterKey !== "All Properties" && this.filterValue) {
-            const filterVal = this.filterValue.toLowerCase().replace(/^#/, "");
-            allHighlights = allHighlights.filter(h => {
-                const val = h.frontmatter?.[this.filterKey];
-                if (val === undefined || val === null) return false;
-
-                // Handle Tags specifically
-                if (this.filterKey === "tags" || this.filterKey === "tag") {
-                    if (Array.isArray(val)) {
-                        return val.some(t => String(t).toLowerCase().replace(/^#/, "").includes(filterVal));
-                    }
-                    return String(val).toLowerCase().replace(/^#/, "").includes(filterVal);
-                }
-
-                // Handle Arrays
-                if (Array.isArray(val)) {
-                    return val.some(v => String(v).toLowerCase().includes(filterVal));
-                }
-
-                // Default string match
-                return String(val).toLowerCase().includes(filterVal);
-            });
-        }
-
-        // Apply search filter
-        if (this.searchQuery) {
-            allHighlights = allHighlights.filter(h =>
-                h.text.toLowerCase().includes(this.searchQuery)
-            );
-        }
-
-        // Apply color filter
-        if (this.activeColors.size > 0) {
-            allHighlights = allHighlights.filter(h => {
-                if (!h.color) return false;
-                return this.activeColors.has(h.color.toLowerCase());
-            });
-        }
+        const totalHighlights = this.scanResults.reduce((sum, res) => sum + res.highlights.length, 0);
+        const allHighlights = this.getFilteredHighlights();
 
         // Stats summary
         const statsRow = this.contentEl.createDiv({ cls: "research-stats" });
@@ -291,6 +392,7 @@ export class ResearchView extends ItemView {
                     }
 
                     itemEl.createSpan({ cls: "research-item-text", text: h.text });
+                    renderAnnotationRow(itemEl, this.plugin, group.file, h);
                     
                     itemEl.onclick = (e) => {
                         e.stopPropagation();
@@ -301,7 +403,9 @@ export class ResearchView extends ItemView {
         } else {
             // Default: simplified flat list of all highlights
             const totalFileCount = this.scanResults.length;
-            statsRow.textContent = `${totalHighlights} highlights across ${totalFileCount} files.`;
+            statsRow.textContent = allHighlights.length === totalHighlights
+                ? `${totalHighlights} highlights across ${totalFileCount} files.`
+                : `${allHighlights.length} of ${totalHighlights} highlights across ${totalFileCount} files.`;
 
             const listEl = this.contentEl.createDiv({ cls: "research-highlight-list research-flat-list" });
 
@@ -323,6 +427,13 @@ export class ResearchView extends ItemView {
                 // Source file badge
                 itemEl.createSpan({ cls: "research-source-badge", text: h.file.basename });
 
+                // When filtering by date, show when each highlight was made
+                if (this.datePreset !== "all" && h.created) {
+                    itemEl.createSpan({ cls: "research-date-badge", text: new Date(h.created).toLocaleDateString() });
+                }
+
+                renderAnnotationRow(itemEl, this.plugin, h.file, h);
+
                 // Click to jump
                 itemEl.onclick = (e) => {
                     e.stopPropagation();
@@ -332,22 +443,10 @@ export class ResearchView extends ItemView {
         }
     }
 
-    async jumpToHighlight(file, line) {
-        // Open file in new leaf/tab OR current active
-        const leaf = this.app.workspace.getLeaf('tab');
-        await leaf.openFile(file);
-        
-        if (leaf.view instanceof MarkdownView) {
-            leaf.setEphemeralState({ 
-                line: line, 
-                focus: true 
-            });
-        }
-    }
-
-    async exportToCanvas() {
-        if (this.isScanning) return;
-        
+    /**
+     * All scanned highlights that pass the property, search, color and date filters.
+     */
+    getFilteredHighlights() {
         let allHighlights = [];
         for (const res of this.scanResults) {
             for (const h of res.highlights) {
@@ -355,12 +454,14 @@ export class ResearchView extends ItemView {
             }
         }
 
+        // Apply property filter
         if (this.filterKey && this.filterKey !== "All Properties" && this.filterValue) {
             const filterVal = this.filterValue.toLowerCase().replace(/^#/, "");
             allHighlights = allHighlights.filter(h => {
                 const val = h.frontmatter?.[this.filterKey];
                 if (val === undefined || val === null) return false;
 
+                // Handle Tags specifically
                 if (this.filterKey === "tags" || this.filterKey === "tag") {
                     if (Array.isArray(val)) {
                         return val.some(t => String(t).toLowerCase().replace(/^#/, "").includes(filterVal));
@@ -368,27 +469,66 @@ export class ResearchView extends ItemView {
                     return String(val).toLowerCase().replace(/^#/, "").includes(filterVal);
                 }
 
+                // Handle Arrays
                 if (Array.isArray(val)) {
                     return val.some(v => String(v).toLowerCase().includes(filterVal));
                 }
 
+                // Default string match
                 return String(val).toLowerCase().includes(filterVal);
             });
         }
 
-        if (this.searchQuery) {
-            allHighlights = allHighlights.filter(h =>
-                h.text.toLowerCase().includes(this.searchQuery)
-            );
+        // Apply query
+        if (this.queryAst) {
+            const context = { palette: this.plugin.getAllPaletteColors() };
+            allHighlights = allHighlights.filter(h => matchesQuery(this.queryAst, h, context));
         }
 
+        // Apply color filter
         if (this.activeColors.size > 0) {
             allHighlights = allHighlights.filter(h => {
                 if (!h.color) return false;
-                return this.activeColors.has(h.color.toLowerCase());
+                return this.activeColors.has(paletteKey(h.color, h.style));
             });
         }
 
+        // Apply date filter, newest first so recent highlights lead the list
+        const range = this.getDateRange();
+        if (range) {
+            allHighlights = allHighlights
+                .filter(h => isInRange(h.created, range))
+                .sort((a, b) => b.created - a.created);
+        }
+
+        return allHighlights;
+    }
+
+    getDateRange() {
+        if (this.datePreset === "custom") {
+            return getCustomRange(this.dateFrom, this.dateTo);
+        }
+        return getPresetRange(this.datePreset);
+    }
+
+    async jumpToHighlight(file, line) {
+        // Open file in new leaf/tab OR current active
+        const leaf = this.app.workspace.getLeaf('tab');
+        await leaf.openFile(file);
+        
+        if (leaf.view instanceof MarkdownView) {
+            leaf.setEphemeralState({ 
+                line: line, 
+                focus: true 
+            });
+        }
+    }
+
+    async exportToCanvas() {
+        if (this.isScanning) return;
+        
+        const allHighlights = this.getFilteredHighlights();
+
         if (allHighlights.length === 0) {
             // Notice requires plugin context but we can just use native Obsidian Notice
             const { Notice } = require("obsidian");
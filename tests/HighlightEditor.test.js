@@ -0,0 +1,334 @@
+import { describe, it, expect } from "vitest";
+import {
+    insertFootnote,
+    updateFootnote,
+    removeFootnote,
+    nextFootnoteId,
+    recolorHighlight,
+    formatHighlight,
+    setHighlightTags,
+    setHighlightNote,
+    findHighlight,
+    eraseRange,
+    resolveOverlaps,
+    mergeAdjacentHighlights,
+    convertHighlightSyntax,
+    toggleInlineFormat,
+    ensureBlockId,
+    formatWikilink,
+} from "../src/core/HighlightEditor.js";
+import { parseHighlights } from "../src/core/HighlightParser.js";
+import { buildClassMap } from "../src/core/PaletteClasses.js";
+
+describe("footnote annotations", () => {
+    const raw = "Intro ==first[^1]== and ==second[^2]==.\n\n[^1]: One\n\n[^2]: Two\n";
+
+    it("inserts a numbered footnote and parses it back onto the highlight", () => {
+        const plain = "Some ==text== here";
+        const offset = plain.indexOf("text") + "text".length;
+        const content = insertFootnote(plain, offset, "My note\nsecond line");
+        expect(content).toBe("Some ==text[^1]== here\n\n[^1]: My note\n    second line\n");
+        expect(parseHighlights(content)[0]).toMatchObject({ footnote: "1", note: "My note\nsecond line" });
+        expect(nextFootnoteId(content)).toBe("2");
+    });
+
+    it("updates only the given footnote", () => {
+        const content = updateFootnote(raw, "1", "Changed");
+        expect(content).toBe("Intro ==first[^1]== and ==second[^2]==.\n\n[^1]: Changed\n\n[^2]: Two\n");
+        expect(updateFootnote(raw, "9", "x")).toBeNull();
+    });
+
+    it("replaces multi-line footnotes completely", () => {
+        const multi = "==a[^1]==\n\n[^1]: line one\n    line two\nAfter";
+        expect(updateFootnote(multi, "1", "short")).toBe("==a[^1]==\n\n[^1]: short\nAfter");
+    });
+
+    it("removes the reference and definition without leaving gaps", () => {
+        expect(removeFootnote(raw, "1")).toBe("Intro ==first== and ==second[^2]==.\n\n[^2]: Two\n");
+        expect(removeFootnote(raw, "2")).toBe("Intro ==first[^1]== and ==second==.\n\n[^1]: One\n");
+        expect(removeFootnote(raw, "9")).toBeNull();
+    });
+});
+
+describe("editing existing highlights", () => {
+    const raw = "Start #idea ==first[^1]== then <mark data-hl-id=\"hl-x\" style=\"background: #ffcdd2; color: black;\">second</mark> end.\n\n[^1]: Note\n";
+    const [first, second] = parseHighlights(raw);
+
+    it("recolors and converts a highlight without touching its tags or note", () => {
+        const colored = recolorHighlight(raw, first, "#bbdefb", { id: null });
+        expect(colored).toContain('#idea <mark style="background: #bbdefb; color: black;">first[^1]</mark> then');
+        const [h] = parseHighlights(colored);
+        expect(h).toMatchObject({ text: "first", color: "#bbdefb", tags: ["idea"], note: "Note" });
+
+        const plain = recolorHighlight(raw, second, null);
+        expect(plain).toContain("then ==second== end.");
+    });
+
+    it("keeps an explicit id when recoloring a <mark>", () => {
+        const content = recolorHighlight(raw, second, "#c8e6c9");
+        expect(parseHighlights(content)[1]).toMatchObject({ id: "hl-x", color: "#c8e6c9" });
+    });
+
+    it("writes palette styles that read back with their color", () => {
+        const markup = formatHighlight("text", "#ffcdd2", { id: "hl-1", style: "box" });
+        expect(markup).toBe('<mark data-hl-id="hl-1" data-hl-style="box" style="--hl-color: #ffcdd2;">text</mark>');
+        expect(parseHighlights(markup)[0]).toMatchObject({ color: "#ffcdd2", style: "box", id: "hl-1" });
+        expect(formatHighlight("text", "#ffcdd2", { style: "background" })).toContain("background: #ffcdd2");
+
+        const restyled = recolorHighlight(raw, second, "#bbdefb", { style: "wavy" });
+        expect(parseHighlights(restyled)[1]).toMatchObject({ color: "#bbdefb", style: "wavy", id: "hl-x" });
+        const back = recolorHighlight(restyled, parseHighlights(restyled)[1], "#bbdefb", { style: null });
+        expect(parseHighlights(back)[1].style).toBeNull();
+    });
+
+    it("adds, replaces and removes the tag prefix", () => {
+        expect(setHighlightTags(raw, first, ["idea", "method"])).toContain("Start #idea #method ==first");
+        expect(setHighlightTags(raw, first, [])).toContain("Start ==first");
+        expect(setHighlightTags(raw, second, ["#q"])).toContain("then #q <mark");
+    });
+
+    it("adds, edits and deletes the note", () => {
+        const added = setHighlightNote(raw, second, "New");
+        expect(parseHighlights(added)[1]).toMatchObject({ footnote: "2", note: "New" });
+        expect(parseHighlights(setHighlightNote(raw, first, "Changed"))[0].note).toBe("Changed");
+        expect(parseHighlights(setHighlightNote(raw, first, ""))[0].footnote).toBeNull();
+    });
+
+    it("finds a highlight again by id or by text near its old offset", () => {
+        const moved = parseHighlights("Inserted text. " + raw);
+        expect(findHighlight(moved, { text: "first", start: first.start }).start).toBe(first.start + 15);
+        expect(findHighlight(moved, { id: "hl-x", text: "changed" }).text).toBe("second");
+        expect(findHighlight(moved, { text: "missing", start: 0 })).toBeNull();
+    });
+});
+
+describe("eraseRange", () => {
+    const erase = (raw, selected) => {
+        const start = raw.indexOf(selected);
+        return eraseRange(raw, start, start + selected.length).content;
+    };
+
+    it("splits a highlight around the erased words, keeping tags", () => {
+        expect(erase("A #idea ==alpha beta gamma== z", "beta")).toBe("A #idea ==alpha== beta #idea ==gamma== z");
+    });
+
+    it("keeps color and gives only the first part the explicit id", () => {
+        const raw = 'A <mark data-hl-id="hl-1" style="background: #fff; color: black;">alpha beta gamma</mark>';
+        expect(erase(raw, "beta")).toBe(
+            'A <mark data-hl-id="hl-1" style="background: #fff; color: black;">alpha</mark> beta ' +
+            '<mark style="background: #fff; color: black;">gamma</mark>'
+        );
+    });
+
+    it("trims a highlight from either end and keeps its annotation", () => {
+        expect(erase("A #idea ==alpha beta[^1]== z", "alpha")).toBe("A alpha #idea ==beta[^1]== z");
+        expect(erase("A #idea ==alpha beta[^1]== z", "beta")).toBe("A #idea ==alpha[^1]== beta z");
+    });
+
+    it("removes a fully selected highlight", () => {
+        expect(erase("A ==alpha== z", "alpha")).toBe("A alpha z");
+    });
+
+    it("handles selections across paragraphs and table cells", () => {
+        expect(erase("==one two==\n\n==three four==", "two==\n\n==three")).toBe("==one== two\n\nthree ==four==");
+        expect(erase("| ==a b== | ==c d== |", "b== | ==c")).toBe("| ==a== b | c ==d== |");
+    });
+
+    it("leaves unhighlighted text alone", () => {
+        const raw = "Plain text ==kept==";
+        expect(eraseRange(raw, 0, 5)).toEqual({ content: raw, count: 0 });
+    });
+});
+
+describe("resolveOverlaps", () => {
+    const yellow = (text) => `<mark style="background: #FFF59D; color: black;">${text}</mark>`;
+    // Select from the first word through the last one
+    const apply = (raw, words, color) => {
+        const [first, last = first] = words.split(" ");
+        const start = raw.indexOf(first);
+        const result = resolveOverlaps(raw, start, raw.indexOf(last, start) + last.length, color);
+        return { ...result, selected: result.content.substring(result.start, result.end) };
+    };
+
+    it("merges a same-color highlight the selection extends into", () => {
+        const result = apply("==alpha beta== gamma delta", "beta gamma", null);
+        expect(result.content).toBe("alpha beta gamma delta");
+        expect(result.selected).toBe("alpha beta gamma");
+    });
+
+    it("merges same-color highlights that only touch the selection", () => {
+        const result = apply("==one== two ==three==", "two", null);
+        expect(result.selected).toBe("one two three");
+        expect(result.content).toBe("one two three");
+    });
+
+    it("carries the tags of merged highlights", () => {
+        const result = apply("#idea ==alpha== beta", "beta", null);
+        expect(result.tags).toEqual(["idea"]);
+        expect(result.selected).toBe("alpha beta");
+        expect(result.content).toBe("alpha beta");
+    });
+
+    it("splits a highlight of another color around the selection", () => {
+        const result = apply(`A ${yellow("one two three")} B`, "two", "#B2EBF2");
+        expect(result.content).toBe(`A ${yellow("one")} two ${yellow("three")} B`);
+        expect(result.selected).toBe("two");
+    });
+
+    it("trims a partially overlapped highlight of another color", () => {
+        const result = apply("==alpha beta== gamma", "beta gamma", "#B2EBF2");
+        expect(result.content).toBe("==alpha== beta gamma");
+        expect(result.selected).toBe("beta gamma");
+    });
+
+    it("treats another style of the same color as a different highlight", () => {
+        const underline = (text) => `<mark data-hl-style="underline" style="--hl-color: #FFF59D;">${text}</mark>`;
+        const raw = `${underline("one two")} three`;
+        const start = raw.indexOf("two");
+        expect(resolveOverlaps(raw, start, start + 3, "#FFF59D").content).toBe(`${underline("one")} two three`);
+        expect(resolveOverlaps(raw, start, start + 3, "#FFF59D", "underline").content).toBe(raw.replace(/<[^>]+>/g, ""));
+    });
+
+    it("leaves unrelated text alone", () => {
+        const raw = "==far== away and plain";
+        expect(apply(raw, "plain", null)).toMatchObject({ content: raw, selected: "plain", tags: [] });
+    });
+});
+
+describe("mergeAdjacentHighlights", () => {
+    it("joins same-color spans separated only by whitespace", () => {
+        const { content, count } = mergeAdjacentHighlights("==one== ==two==  ==three== and ==four==");
+        expect(content).toBe("==one two  three== and ==four==");
+        expect(count).toBe(2);
+    });
+
+    it("keeps different colors, annotations and other tags apart", () => {
+        const raw = "==one==[^1] ==two== <mark style=\"background: #fff;\">three</mark> #x ==four==\n\n[^1]: Note";
+        expect(mergeAdjacentHighlights(raw)).toEqual({ content: raw, count: 0 });
+    });
+
+    it("keeps the first highlight's id and tags", () => {
+        const raw = "#a <mark data-hl-id=\"hl-1\" style=\"background: #fff;\">one</mark> <mark style=\"background: #FFF;\">two</mark>";
+        expect(mergeAdjacentHighlights(raw).content)
+            .toBe("#a <mark data-hl-id=\"hl-1\" style=\"background: #fff;\">one two</mark>");
+    });
+
+    it("compares class-based highlights by their palette color", () => {
+        const raw = "<mark class=\"rh-key\">one</mark> <mark style=\"background: #C8E6C9;\">two</mark>";
+        const classes = buildClassMap([{ color: "#C8E6C9", meaning: "Key" }]);
+        expect(mergeAdjacentHighlights(raw, classes)).toEqual({ content: "<mark class=\"rh-key\">one two</mark>", count: 1 });
+        expect(mergeAdjacentHighlights(raw).count).toBe(0);
+    });
+});
+
+describe("convertHighlightSyntax", () => {
+    const raw = [
+        "---",
+        "note: ==not a highlight==",
+        "---",
+        "==one== and <mark data-hl-id=\"hl-1\" style=\"background: #fff;\">two</mark>",
+        "```",
+        "==code==",
+        "```",
+        "#tag ==three[^1]==",
+    ].join("\n");
+
+    it("converts == to <mark> with the chosen color, outside code and frontmatter", () => {
+        const { content, count } = convertHighlightSyntax(raw, "html", "#C8E6C9");
+        expect(count).toBe(2);
+        expect(content).toContain('<mark style="background: #C8E6C9; color: black;">one</mark> and <mark data-hl-id');
+        expect(content).toContain('#tag <mark style="background: #C8E6C9; color: black;">three[^1]</mark>');
+        expect(content).toContain("note: ==not a highlight==");
+        expect(content).toContain("```\n==code==\n```");
+    });
+
+    it("converts <mark> to ==", () => {
+        const { content, count } = convertHighlightSyntax(raw, "markdown");
+        expect(count).toBe(1);
+        expect(content).toContain("==one== and ==two==");
+    });
+
+    it("can write palette classes", () => {
+        expect(convertHighlightSyntax("==one==", "html", "#C8E6C9", { className: "rh-key-concept" }).content)
+            .toBe('<mark class="rh-key-concept">one</mark>');
+    });
+});
+
+describe("toggleInlineFormat", () => {
+    it("wraps text and unwraps it when applied again", () => {
+        for (const format of ["bold", "italic", "strikethrough", "code"]) {
+            const wrapped = toggleInlineFormat("some text", format);
+            expect(toggleInlineFormat(wrapped, format)).toBe("some text");
+        }
+        expect(toggleInlineFormat("x", "bold")).toBe("**x**");
+        expect(toggleInlineFormat("x", "strikethrough")).toBe("~~x~~");
+    });
+
+    it("tells bold and italic stars apart", () => {
+        expect(toggleInlineFormat("**x**", "italic")).toBe("***x***");
+        expect(toggleInlineFormat("***x***", "italic")).toBe("**x**");
+        expect(toggleInlineFormat("***x***", "bold")).toBe("*x*");
+        expect(toggleInlineFormat("*x*", "bold")).toBe("***x***");
+        expect(toggleInlineFormat("_x_", "italic")).toBe("x");
+    });
+
+    it("drops inner markers of the same format when wrapping", () => {
+        expect(toggleInlineFormat("a **b** c", "bold")).toBe("**a b c**");
+        expect(toggleInlineFormat("a *b* **c**", "italic")).toBe("*a b **c***");
+    });
+
+    it("fences code around backticks", () => {
+        expect(toggleInlineFormat("a `b` c", "code")).toBe("``a `b` c``");
+        expect(toggleInlineFormat("a `b`", "code")).toBe("`` a `b` ``");
+        expect(toggleInlineFormat("`` a `b` ``", "code")).toBe("a `b`");
+    });
+});
+
+describe("ensureBlockId", () => {
+    it("adds an id at the end of the highlight's paragraph", () => {
+        const raw = "Intro\n\nSome ==quoted== text\ncontinues here\n\nNext";
+        const [h] = parseHighlights(raw);
+        expect(ensureBlockId(raw, h, "abc123")).toEqual({
+            content: "Intro\n\nSome ==quoted== text\ncontinues here ^abc123\n\nNext",
+            blockId: "abc123",
+        });
+    });
+
+    it("reuses an existing id and keeps CRLF line endings", () => {
+        const withId = "A ==b== c ^old1\r\nD";
+        expect(ensureBlockId(withId, parseHighlights(withId)[0], "new1")).toEqual({ content: withId, blockId: "old1" });
+        const crlf = "- ==item==\r\n- next";
+        expect(ensureBlockId(crlf, parseHighlights(crlf)[0], "new1").content).toBe("- ==item== ^new1\r\n- next");
+    });
+
+    it("puts a table's id on its own line below the table", () => {
+        const raw = "| a | b |\n| - | - |\n| x | ==y== |\n| z | w |\nAfter";
+        const withId = ensureBlockId(raw, parseHighlights(raw)[0], "tbl1");
+        expect(withId).toEqual({
+            content: "| a | b |\n| - | - |\n| x | ==y== |\n| z | w |\n^tbl1\n\nAfter",
+            blockId: "tbl1",
+        });
+        expect(parseHighlights(withId.content)[0]).toMatchObject({ blockId: "tbl1", blockLine: 3 });
+        expect(ensureBlockId(withId.content, parseHighlights(withId.content)[0], "new1").blockId).toBe("tbl1");
+
+        const end = "| ==a== |\r\n| - |";
+        expect(ensureBlockId(end, parseHighlights(end)[0], "tbl2").content).toBe("| ==a== |\r\n| - |\r\n^tbl2");
+    });
+});
+
+describe("formatWikilink", () => {
+    it("links the text, keeping it as display text", () => {
+        expect(formatWikilink("selected text", "Target")).toBe("[[Target|selected text]]");
+        expect(formatWikilink("Target", "Target")).toBe("[[Target]]");
+    });
+
+    it("replaces a link already around the text", () => {
+        expect(formatWikilink("[[Old|shown]]", "New")).toBe("[[New|shown]]");
+        expect(formatWikilink("[[Old]]", "New")).toBe("[[New|Old]]");
+    });
+
+    it("escapes the pipe in table cells", () => {
+        expect(formatWikilink("cell", "Target", true)).toBe("[[Target\\|cell]]");
+        expect(formatWikilink("[[Old\\|cell]]", "New", true)).toBe("[[New\\|cell]]");
+    });
+});
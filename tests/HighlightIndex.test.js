@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { HighlightIndex } from "../src/core/HighlightIndex.js";
+import { getHighlightsFromContent } from "../src/utils/export.js";
+
+describe("getHighlightsFromContent offsets", () => {
+    it("reports offsets of the full markup and explicit ids", () => {
+        const raw = "First ==one==\nSecond <mark data-hl-id=\"hl-abc\" style=\"background: #fff;\">two</mark>";
+        const [one, two] = getHighlightsFromContent(raw);
+
+        expect(raw.substring(one.start, one.end)).toBe("==one==");
+        expect(raw.substring(two.start, two.end)).toMatch(/^<mark.*two<\/mark>$/);
+        expect(two.id).toBe("hl-abc");
+    });
+});
+
+describe("HighlightIndex", () => {
+    let index;
+    let onChange;
+
+    beforeEach(() => {
+        onChange = vi.fn();
+        index = new HighlightIndex(onChange);
+    });
+
+    const sync = (path, raw, now) => index.syncFile(path, getHighlightsFromContent(raw), now);
+
+    it("assigns ids and keeps them when text is inserted around highlights", () => {
+        const first = sync("a.md", "Some ==alpha== and ==beta==.", 1);
+        const ids = first.highlights.map((h) => h.id);
+        expect(first.added.length).toBe(2);
+        expect(new Set(ids).size).toBe(2);
+
+        const second = sync("a.md", "New intro.\n\nSome ==alpha== and more ==beta==.", 2);
+        expect(second.highlights.map((h) => h.id)).toEqual(ids);
+        expect(second.added).toEqual([]);
+        expect(index.get(ids[0]).created).toBe(1);
+        expect(index.get(ids[0]).start).toBe(17);
+    });
+
+    it("tells identical texts apart by position", () => {
+        const first = sync("a.md", "==same== x ==same==", 1);
+        const second = sync("a.md", "==same== x y ==same==", 2);
+        expect(second.highlights.map((h) => h.id)).toEqual(first.highlights.map((h) => h.id));
+    });
+
+    it("uses data-hl-id when the text changes", () => {
+        sync("a.md", "<mark data-hl-id=\"hl-1\" style=\"background: #fff;\">old</mark>", 1);
+        const result = sync("a.md", "<mark data-hl-id=\"hl-1\" style=\"background: #fff;\">new text</mark>", 5);
+
+        expect(result.highlights[0].id).toBe("hl-1");
+        expect(result.changed.length).toBe(1);
+        expect(index.get("hl-1").updated).toBe(5);
+        expect(index.get("hl-1").created).toBe(1);
+    });
+
+    it("keeps the id of a recolored highlight", () => {
+        const first = sync("a.md", "==plain== and ==other==", 1);
+        const result = sync("a.md", "<mark style=\"background: #ffcdd2; color: black;\">plain</mark> and ==other==", 3);
+
+        expect(result.highlights.map((h) => h.id)).toEqual(first.highlights.map((h) => h.id));
+        expect(result.changed.length).toBe(1);
+        expect(result.added).toEqual([]);
+    });
+
+    it("reports removed highlights and drops them", () => {
+        const { highlights } = sync("a.md", "==gone== ==kept==", 1);
+        const result = sync("a.md", "gone ==kept==", 2);
+
+        expect(result.removed.map((r) => r.id)).toEqual([highlights[0].id]);
+        expect(index.get(highlights[0].id)).toBeNull();
+        expect(index.getFile("a.md").length).toBe(1);
+    });
+
+    it("follows renames and round-trips through JSON", () => {
+        const { highlights } = sync("old.md", "==x==", 1);
+        index.rename("old.md", "new.md");
+        expect(index.get(highlights[0].id).path).toBe("new.md");
+
+        const restored = new HighlightIndex();
+        restored.load(JSON.parse(JSON.stringify(index)));
+        expect(restored.getFile("new.md")[0].id).toBe(highlights[0].id);
+        expect(onChange).toHaveBeenCalled();
+    });
+});
+
+describe("HighlightIndex sync events", () => {
+    it("reports added, changed and removed highlights", () => {
+        const index = new HighlightIndex();
+        const events = [];
+        const unsubscribe = index.onSync((path, diff) => events.push({ path, diff }));
+
+        index.syncFile("a.md", getHighlightsFromContent("==one== ==two=="), 1);
+        index.syncFile("a.md", getHighlightsFromContent("==one== ==two=="), 2);
+        index.syncFile("a.md", getHighlightsFromContent("#tag ==one=="), 3);
+        index.removeFile("a.md");
+        unsubscribe();
+        index.syncFile("a.md", getHighlightsFromContent("==three=="), 4);
+
+        expect(events.map((e) => [e.diff.added.length, e.diff.changed.length, e.diff.removed.length])).toEqual([
+            [2, 0, 0],
+            [0, 1, 1],
+            [0, 0, 1],
+        ]);
+        expect(events[1].diff.changed[0]).toMatchObject({ path: "a.md", text: "one", tags: ["tag"] });
+        expect(events[1].diff.removed[0]).toMatchObject({ text: "two" });
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { buildHighlightUri, resolveHighlightLink } from "../src/core/HighlightLinks.js";
+import { parseHighlights } from "../src/core/HighlightParser.js";
+
+const RAW = [
+    "# Notes",
+    "",
+    "First ==same words== here ^para1",
+    "",
+    "Second ==other text== and ==same words== again",
+    "",
+    "Plain line ^plain",
+].join("\n");
+
+function highlights() {
+    return parseHighlights(RAW).map((h, i) => ({ ...h, id: `hl-${i}` }));
+}
+
+describe("buildHighlightUri", () => {
+    it("encodes the note, id, block, quote and 1-based line", () => {
+        const h = highlights()[0];
+        const uri = buildHighlightUri("My Vault", "Books/A note.md", h);
+        expect(uri.startsWith("obsidian://reader-highlighter?")).toBe(true);
+        expect(uri).not.toContain("+");
+        const params = Object.fromEntries(new URL(uri).searchParams);
+        expect(params).toEqual({
+            vault: "My Vault",
+            file: "Books/A note.md",
+            id: "hl-0",
+            block: "para1",
+            text: "same words",
+            line: "3",
+        });
+    });
+
+    it("shortens long quotes", () => {
+        const text = "word ".repeat(60).trim();
+        const uri = buildHighlightUri("V", "a.md", { id: null, blockId: null, text, line: 0 });
+        const params = new URL(uri).searchParams;
+        expect(params.get("text").length).toBeLessThanOrEqual(120);
+        expect(params.has("id")).toBe(false);
+    });
+});
+
+describe("resolveHighlightLink", () => {
+    it("prefers the highlight id", () => {
+        const result = resolveHighlightLink(highlights(), RAW, { id: "hl-2", block: "para1" });
+        expect(result.highlight.id).toBe("hl-2");
+        expect(result.line).toBe(4);
+    });
+
+    it("falls back to the block id, then to a block without highlights", () => {
+        expect(resolveHighlightLink(highlights(), RAW, { id: "hl-gone", block: "para1" }).highlight.id).toBe("hl-0");
+        expect(resolveHighlightLink(highlights(), RAW, { block: "plain" })).toEqual({ highlight: null, line: 6 });
+    });
+
+    it("matches a quote, decided by the closest line", () => {
+        expect(resolveHighlightLink(highlights(), RAW, { text: "Same  Words" }).highlight.id).toBe("hl-0");
+        expect(resolveHighlightLink(highlights(), RAW, { text: "same words", line: "5" }).highlight.id).toBe("hl-2");
+        expect(resolveHighlightLink(highlights(), RAW, { text: "other" }).highlight.id).toBe("hl-1");
+    });
+
+    it("falls back to the line", () => {
+        expect(resolveHighlightLink(highlights(), RAW, { line: "5" }).highlight.id).toBe("hl-1");
+        expect(resolveHighlightLink(highlights(), RAW, { line: "1" })).toEqual({ highlight: null, line: 0 });
+    });
+
+    it("returns null when nothing matches", () => {
+        expect(resolveHighlightLink(highlights(), RAW, { id: "hl-gone", text: "missing" })).toBeNull();
+        expect(resolveHighlightLink(highlights(), RAW, { line: "99" })).toBeNull();
+        expect(resolveHighlightLink(highlights(), RAW, {})).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { parseHighlights } from "../src/core/HighlightParser.js";
+
+const texts = (raw) => parseHighlights(raw).map((h) => h.text);
+
+describe("parseHighlights", () => {
+    it("finds markdown and html highlights in document order", () => {
+        const raw = "A <mark style=\"background: #FFF9C4; color: black;\">first</mark> then ==second==";
+        const [first, second] = parseHighlights(raw);
+        expect(first).toMatchObject({ text: "first", type: "html", color: "#FFF9C4" });
+        expect(second).toMatchObject({ text: "second", type: "markdown", color: null });
+        expect(raw.substring(second.start, second.end)).toBe("==second==");
+        expect(raw.substring(second.contentStart, second.contentEnd)).toBe("second");
+    });
+
+    it("joins highlights that span lines of one paragraph", () => {
+        const raw = "Intro ==spans\ntwo lines== end\n> <mark>quoted\n> too</mark>";
+        const [md, html] = parseHighlights(raw);
+        expect(md).toMatchObject({ text: "spans two lines", line: 0, endLine: 1 });
+        expect(html).toMatchObject({ text: "quoted too", line: 2, endLine: 3 });
+    });
+
+    it("does not cross paragraph breaks", () => {
+        expect(texts("==open\n\nstill open==")).toEqual([]);
+    });
+
+    it("ignores code, math, comments and frontmatter", () => {
+        const raw = [
+            "---",
+            "title: ==meta==",
+            "---",
+            "```js",
+            "a ==b== c",
+            "```",
+            "$$",
+            "x ==y== z",
+            "$$",
+            "Inline `==code==`, ``a `==b==` c``, $x==y$ and %%==hidden==%% but ==kept==",
+            "<!-- ==html comment",
+            "==still hidden== -->",
+            "Escaped \\==not== and a === b",
+        ].join("\n");
+        expect(texts(raw)).toEqual(["kept"]);
+    });
+
+    it("reads the tag prefix written in front of a highlight", () => {
+        const raw = "Some #review #topic/sub ==tagged== text";
+        const [h] = parseHighlights(raw);
+        expect(h.tags).toEqual(["review", "topic/sub"]);
+        expect(raw.substring(h.prefixStart, h.end)).toBe("#review #topic/sub ==tagged==");
+    });
+
+    it("attaches footnote annotations inside or right after the highlight", () => {
+        const raw = "==inside[^1]== and ==after==[^2] and ==none==\n\n[^1]: First note\n[^2]: Second note";
+        const [inside, after, none] = parseHighlights(raw);
+        expect(inside).toMatchObject({ text: "inside", footnote: "1", note: "First note" });
+        expect(after).toMatchObject({ text: "after", footnote: "2", note: "Second note" });
+        expect(none).toMatchObject({ footnote: null, note: "" });
+    });
+
+    it("reports the enclosing heading", () => {
+        const raw = "==before==\n# Chapter ==One==\n## Part *A* ##\nText ==under==";
+        const [before, inHeading, under] = parseHighlights(raw);
+        expect(before.heading).toBeNull();
+        expect(inHeading.heading).toBe("Chapter One");
+        expect(under.heading).toBe("Part *A*");
+    });
+
+    it("finds the block id at the end of the paragraph", () => {
+        const raw = "Line ==one==\nline two ^abc123\n\n- item ==two==\n- item three ^list1\n\n==three==";
+        const [one, two, three] = parseHighlights(raw);
+        expect(one).toMatchObject({ blockId: "abc123", blockLine: 1 });
+        expect(two).toMatchObject({ blockId: null, blockLine: 3 });
+        expect(three).toMatchObject({ blockId: null, blockLine: 6 });
+    });
+
+    it("reads explicit highlight ids", () => {
+        const [h] = parseHighlights("<mark data-hl-id=\"hl-abc\" style=\"background: #fff;\">x</mark>");
+        expect(h.id).toBe("hl-abc");
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect } from "vitest";
+import { parseQuery, matchesQuery, QueryParseError, parseHighlightBlock, sortHighlights, countByPaletteKey } from "../src/core/HighlightQuery.js";
+
+const palette = [
+    { color: "#C8E6C9", meaning: "Key Concept" },
+    { color: "#BBDEFB", meaning: "Vocabulary" },
+];
+
+const highlight = (overrides = {}) => ({
+    text: "Randomized trials are the gold standard",
+    color: "#c8e6c9",
+    tags: ["method"],
+    file: { path: "Papers/Trials.md" },
+    frontmatter: { status: "reading", tags: ["paper"] },
+    ...overrides,
+});
+
+const matches = (query, h = highlight()) => matchesQuery(parseQuery(query), h, { palette });
+
+describe("parseQuery", () => {
+    it("returns null for an empty query", () => {
+        expect(parseQuery("   ")).toBeNull();
+    });
+
+    it("parses fields, quotes, implicit AND and negation", () => {
+        const ast = parseQuery('color:"Key Concept" tag:#method -text:draft');
+        expect(ast.type).toBe("and");
+        expect(ast.children[0]).toMatchObject({ type: "term", field: "color", value: "Key Concept" });
+        expect(ast.children[2]).toMatchObject({ type: "not", child: { field: "text", value: "draft" } });
+    });
+
+    it("gives OR lower precedence than AND", () => {
+        const ast = parseQuery("a b OR c");
+        expect(ast.type).toBe("or");
+        expect(ast.children[0].type).toBe("and");
+    });
+
+    it("splits prop terms into key and value", () => {
+        expect(parseQuery("prop:status=reading")).toMatchObject({ key: "status", value: "reading" });
+        expect(parseQuery("prop:status")).toMatchObject({ key: "status", value: "" });
+    });
+
+    it.each([
+        ['color:"Key', "Unclosed quote", 6],
+        ["colr:red", "Unknown field", 0],
+        ["tag:", "Missing value", 0],
+        ["(a OR b", "Missing closing parenthesis", 0],
+        ["a OR", "Expected a term", 2],
+        ["a ) b", 'Unexpected ")"', 2],
+    ])("reports %s with its position", (query, message, start) => {
+        let error;
+        try {
+            parseQuery(query);
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(QueryParseError);
+        expect(error.message).toContain(message);
+        expect(error.start).toBe(start);
+        expect(error.end).toBeGreaterThan(error.start);
+    });
+});
+
+describe("matchesQuery", () => {
+    it("matches the example from the docs", () => {
+        expect(matches('color:"Key Concept" AND tag:#method AND file:"Papers/" AND prop:status=reading AND -text:draft')).toBe(true);
+        expect(matches("-text:gold")).toBe(false);
+    });
+
+    it("matches colors by meaning, hex and 'none'", () => {
+        expect(matches("color:#C8E6C9")).toBe(true);
+        expect(matches("color:Vocabulary")).toBe(false);
+        expect(matches("color:none", highlight({ color: null }))).toBe(true);
+    });
+
+    it("tells palette entries that share a color apart by style", () => {
+        const styled = { palette: [...palette, { color: "#C8E6C9", meaning: "Disagree", style: "underline" }] };
+        const underlined = highlight({ style: "underline" });
+        expect(matchesQuery(parseQuery("color:Disagree"), underlined, styled)).toBe(true);
+        expect(matchesQuery(parseQuery('color:"Key Concept"'), underlined, styled)).toBe(false);
+        expect(matches("style:underline", underlined)).toBe(true);
+        expect(matches("style:background")).toBe(true);
+        expect(matches("style:background", highlight({ color: null }))).toBe(false);
+    });
+
+    it("matches inline and note tags, including nested tags", () => {
+        expect(matches("tag:paper")).toBe(true);
+        expect(matches("tag:method", highlight({ tags: ["method/rct"] }))).toBe(true);
+        expect(matches("tag:meth")).toBe(false);
+    });
+
+    it("evaluates OR and grouping", () => {
+        expect(matches("(text:nothing OR text:gold) file:Papers")).toBe(true);
+        expect(matches("text:nothing OR prop:status=done")).toBe(false);
+        expect(matches("NOT (prop:missing)")).toBe(true);
+    });
+
+    it("matches folders by path prefix", () => {
+        expect(matches("folder:Papers")).toBe(true);
+        expect(matches("folder:Papers/")).toBe(true);
+        expect(matches("folder:Pap")).toBe(false);
+    });
+
+    it("searches annotations with note:", () => {
+        expect(matches("note:placebo", highlight({ note: "Compare with placebo arms" }))).toBe(true);
+        expect(matches("note:placebo")).toBe(false);
+    });
+
+    it("treats bare words as text search", () => {
+        expect(matches("randomized")).toBe(true);
+        expect(matches("placebo")).toBe(false);
+    });
+});
+
+describe("parseHighlightBlock", () => {
+    it("turns block options into a query", () => {
+        const options = parseHighlightBlock([
+            "color: Key Concept, Vocabulary",
+            "tag: #method",
+            "folder: Papers",
+            "property: status=reading",
+            "query: -text:draft",
+            "sort: newest",
+            "limit: 5",
+        ].join("\n"));
+        expect(options.errors).toEqual([]);
+        expect(options.sort).toBe("newest");
+        expect(options.limit).toBe(5);
+        expect(options.query).toBe('(color:"Key Concept" OR color:"Vocabulary") AND tag:"#method" AND folder:"Papers" AND prop:"status=reading" AND (-text:draft)');
+        expect(matches(options.query)).toBe(true);
+    });
+
+    it("defaults to every highlight sorted by file", () => {
+        expect(parseHighlightBlock("")).toEqual({ query: "", sort: "file", limit: 0, errors: [] });
+    });
+
+    it("reports unknown options and bad values by line", () => {
+        const { errors } = parseHighlightBlock("colour: red\nsort: random\nlimit: none\njust text");
+        expect(errors).toEqual([
+            'Line 1: unknown option "colour"',
+            "Line 2: sort must be one of file, newest, oldest, text",
+            "Line 3: limit must be a positive number",
+            'Line 4: expected "option: value"',
+        ]);
+    });
+});
+
+describe("sortHighlights", () => {
+    const items = [
+        { text: "b", created: 2, start: 10, file: { path: "B.md" } },
+        { text: "c", created: 3, start: 5, file: { path: "A.md" } },
+        { text: "a", created: 1, start: 1, file: { path: "A.md" } },
+    ];
+
+    it.each([
+        ["file", ["a", "c", "b"]],
+        ["newest", ["c", "b", "a"]],
+        ["oldest", ["a", "b", "c"]],
+        ["text", ["a", "b", "c"]],
+    ])("sorts by %s", (sort, expected) => {
+        expect(sortHighlights(items, sort).map((h) => h.text)).toEqual(expected);
+    });
+});
+
+describe("countByPaletteKey", () => {
+    it("counts colored highlights per color and style", () => {
+        const counts = countByPaletteKey([
+            { color: "#FFCDD2", style: null },
+            { color: "#ffcdd2", style: null },
+            { color: "#FFCDD2", style: "underline" },
+            { color: null, style: null },
+        ]);
+        expect(Object.fromEntries(counts)).toEqual({ "#ffcdd2|background": 2, "#ffcdd2|underline": 1 });
+    });
+});
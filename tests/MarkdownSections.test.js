@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { appendToSection, appendLine, formatTask } from "../src/core/MarkdownSections.js";
+
+describe("appendToSection", () => {
+    it("adds a heading for a new source at the end", () => {
+        expect(appendToSection("", "## [[Book]]", "> quote")).toBe("## [[Book]]\n\n> quote\n");
+        expect(appendToSection("# Today\n\nNotes\n\n", "## [[Book]]", "> quote"))
+            .toBe("# Today\n\nNotes\n\n## [[Book]]\n\n> quote\n");
+    });
+
+    it("appends to the end of an existing section", () => {
+        const raw = "## [[Book]]\n\n> one\n\n## [[Other]]\n\n> two\n";
+        expect(appendToSection(raw, "## [[Book]]", "> three"))
+            .toBe("## [[Book]]\n\n> one\n\n> three\n\n## [[Other]]\n\n> two\n");
+        expect(appendToSection(raw, "## [[Other]]", "> three"))
+            .toBe("## [[Book]]\n\n> one\n\n## [[Other]]\n\n> two\n\n> three\n");
+    });
+
+    it("keeps subheadings inside the section and CRLF line endings", () => {
+        const raw = "## [[Book]]\r\n\r\n### Part\r\n> one\r\n";
+        expect(appendToSection(raw, "## [[Book]]", "> two\n> more"))
+            .toBe("## [[Book]]\r\n\r\n### Part\r\n> one\r\n\r\n> two\r\n> more\r\n");
+    });
+});
+
+describe("tasks", () => {
+    it("formats a task with due date, tags and backlink", () => {
+        expect(formatTask({ text: "Read the\n  appendix", due: "2026-11-02", tags: ["follow-up", "#book"], link: "[[Book#^abc|Book]]" }))
+            .toBe("- [ ] Read the appendix [[Book#^abc|Book]] #follow-up #book \u{1F4C5} 2026-11-02");
+        expect(formatTask({ text: "Plain" })).toBe("- [ ] Plain");
+    });
+
+    it("appends a line at the end of the note", () => {
+        expect(appendLine("", "- [ ] a")).toBe("- [ ] a\n");
+        expect(appendLine("# Tasks\n- [ ] a\n\n", "- [ ] b")).toBe("# Tasks\n- [ ] a\n- [ ] b\n");
+        expect(appendLine("- [ ] a\r\n", "- [ ] b")).toBe("- [ ] a\r\n- [ ] b\r\n");
+    });
+});
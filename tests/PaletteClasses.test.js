@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import { paletteClassName, classedPaletteColors, buildClassMap, buildPaletteCss } from "../src/core/PaletteClasses.js";
+import { parseHighlights } from "../src/core/HighlightParser.js";
+import { migrateColorMarkup } from "../src/core/HighlightEditor.js";
+
+const palette = [
+    { color: "#C8E6C9", meaning: "Key Concept" },
+    { color: "#FFCDD2", meaning: "Disagree", style: "underline" },
+    { color: "#BBDEFB", meaning: "" },
+];
+
+describe("palette classes", () => {
+    it("names classes after the meaning, else the position", () => {
+        expect(palette.map((entry, i) => paletteClassName(entry, i))).toEqual(["rh-key-concept", "rh-disagree", "rh-color-3"]);
+        expect(paletteClassName({ meaning: "Résumé / À faire" }, 0)).toBe("rh-resume-a-faire");
+    });
+
+    it("prefixes the classes of profile colors with the profile name", () => {
+        expect(paletteClassName({ meaning: "Key Concept" }, 0, "Reading List")).toBe("rh-reading-list-key-concept");
+        expect(paletteClassName({ meaning: "" }, 1, "Reading List")).toBe("rh-reading-list-color-2");
+    });
+
+    it("keeps palettes that share a meaning apart", () => {
+        const defaults = [{ id: "c-1", color: "#FFCDD2", meaning: "Important" }];
+        const profiles = [{ name: "Work", colors: [{ id: "c-2", color: "#BBDEFB", meaning: "Important" }] }];
+        const colors = classedPaletteColors(defaults, profiles);
+        expect(colors.map((entry) => entry.className)).toEqual(["rh-important", "rh-work-important"]);
+
+        const css = buildPaletteCss(colors);
+        expect(css).toContain("mark.rh-important { --hl-color: #FFCDD2;");
+        expect(css).toContain("mark.rh-work-important { --hl-color: #BBDEFB;");
+
+        const classes = buildClassMap(colors);
+        const [personal, work] = parseHighlights("<mark class=\"rh-important\">a</mark> <mark class=\"rh-work-important\">b</mark>", { classes });
+        expect(personal.color).toBe("#FFCDD2");
+        expect(work.color).toBe("#BBDEFB");
+
+        // Inline colors become the class of the note's own palette
+        const raw = "<mark style=\"background: #FFCDD2; color: black;\">a</mark>";
+        const shared = [...colors, { id: "c-3", color: "#FFCDD2", meaning: "Urgent", className: "rh-work-urgent" }];
+        expect(migrateColorMarkup(raw, shared, { useClasses: true }).content).toBe("<mark class=\"rh-important\">a</mark>");
+        expect(migrateColorMarkup(raw, shared, { useClasses: true, preferredIds: ["c-2", "c-3"] }).content)
+            .toBe("<mark class=\"rh-work-urgent\">a</mark>");
+    });
+
+    it("generates light, dark and styled rules", () => {
+        const css = buildPaletteCss(palette);
+        expect(css).toContain("mark.rh-key-concept { --hl-color: #C8E6C9; background: #C8E6C9; color: black; }");
+        expect(css).toContain(".theme-dark mark.rh-key-concept {");
+        expect(css).toContain("mark.rh-disagree { --hl-color: #FFCDD2; background: transparent;");
+        expect(css).not.toContain(".theme-dark mark.rh-disagree");
+    });
+
+    it("skips colors that are not hex values", () => {
+        expect(buildPaletteCss([{ color: "red; } body { display: none", meaning: "x" }])).toBe("");
+    });
+
+    it("resolves class-based highlights to the given palette", () => {
+        const raw = "<mark class=\"rh-disagree\">a</mark> <mark class=\"rh-concept\">b</mark> <mark class=\"rh-gone\">c</mark>";
+        const classes = buildClassMap(palette, [{ color: "#C8E6C9", meaning: "Concept" }]);
+        const [current, renamed, unknown] = parseHighlights(raw, { classes });
+        expect(current).toMatchObject({ color: "#FFCDD2", style: "underline", colorClass: "rh-disagree" });
+        expect(renamed).toMatchObject({ color: "#C8E6C9", style: null, colorClass: "rh-concept" });
+        expect(unknown).toMatchObject({ color: null, colorClass: "rh-gone" });
+
+        // Without classes the color stays unresolved
+        expect(parseHighlights(raw)[0]).toMatchObject({ color: null, colorClass: "rh-disagree" });
+    });
+});
+
+describe("migrateColorMarkup", () => {
+    const inline = (color, text) => `<mark style="background: ${color}; color: black;">${text}</mark>`;
+
+    it("converts inline palette colors to classes and back", () => {
+        const raw = `${inline("#c8e6c9", "one")} ==two== ${inline("#123456", "three")}`;
+        const toClasses = migrateColorMarkup(raw, palette, { useClasses: true });
+        expect(toClasses).toEqual({
+            content: `<mark class="rh-key-concept">one</mark> ==two== ${inline("#123456", "three")}`,
+            count: 1,
+        });
+        expect(migrateColorMarkup(toClasses.content, palette).content).toBe(raw.replace("#c8e6c9", "#C8E6C9"));
+    });
+
+    it("remaps colors and meanings edited since the last migration", () => {
+        const previous = [{ color: "#A5D6A7", meaning: "Concept" }, palette[1], palette[2]];
+        const raw = `${inline("#a5d6a7", "old color")} <mark class="rh-concept">old class</mark>`;
+        expect(migrateColorMarkup(raw, palette, { previous }).content)
+            .toBe(`${inline("#C8E6C9", "old color")} ${inline("#C8E6C9", "old class")}`);
+    });
+
+    it("keeps ids and applies palette styles", () => {
+        const raw = "<mark data-hl-id=\"hl-1\" style=\"background: #FFCDD2; color: black;\">x</mark>";
+        expect(migrateColorMarkup(raw, palette).content)
+            .toBe("<mark data-hl-id=\"hl-1\" data-hl-style=\"underline\" style=\"--hl-color: #FFCDD2;\">x</mark>");
+        expect(migrateColorMarkup(raw, palette, { useClasses: true }).content)
+            .toBe("<mark data-hl-id=\"hl-1\" class=\"rh-disagree\">x</mark>");
+    });
+});
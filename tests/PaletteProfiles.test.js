@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { ensureColorIds, selectProfile, allPaletteColors, colorTags, findTagColor } from "../src/core/PaletteProfiles.js";
+import { migrateColorMarkup } from "../src/core/HighlightEditor.js";
+
+const profiles = [
+    { name: "Reading", folders: ["Books"], colors: [{ color: "#C8E6C9", meaning: "Quote" }] },
+    { name: "Papers", folders: ["Books/Papers/", "Research"], colors: [{ color: "#FFCDD2", meaning: "Claim" }] },
+];
+
+describe("palette profiles", () => {
+    it("gives missing ids and keeps existing ones", () => {
+        const colors = [{ id: "c-keep", color: "#fff" }, { color: "#000" }];
+        expect(ensureColorIds(colors)).toBe(true);
+        expect(colors[0].id).toBe("c-keep");
+        expect(colors[1].id).toMatch(/^c-[a-z0-9]+$/);
+        expect(ensureColorIds(colors)).toBe(false);
+    });
+
+    it("selects the profile of the deepest folder containing the note", () => {
+        expect(selectProfile(profiles, "Books/Novel.md")).toBe(profiles[0]);
+        expect(selectProfile(profiles, "Books/Papers/Paper.md")).toBe(profiles[1]);
+        expect(selectProfile(profiles, "Research/Notes/a.md")).toBe(profiles[1]);
+        expect(selectProfile(profiles, "Bookshelf/a.md")).toBeNull();
+    });
+
+    it("prefers the profile named in frontmatter", () => {
+        expect(selectProfile(profiles, "Books/a.md", { "highlight-palette": " papers " }, "highlight-palette")).toBe(profiles[1]);
+        expect(selectProfile(profiles, "Books/a.md", { "highlight-palette": "Unknown" }, "highlight-palette")).toBe(profiles[0]);
+        expect(selectProfile(profiles, "Books/a.md", { "highlight-palette": "Papers" }, "")).toBe(profiles[0]);
+    });
+
+    it("lists the default palette before every profile's colors", () => {
+        const defaults = [{ color: "#BBDEFB", meaning: "" }];
+        expect(allPaletteColors(defaults, profiles).map((item) => item.color)).toEqual(["#BBDEFB", "#C8E6C9", "#FFCDD2"]);
+    });
+
+    it("remaps reordered colors by id", () => {
+        const previous = [{ id: "c-a", color: "#A5D6A7", meaning: "Concept" }, { id: "c-b", color: "#FFCDD2", meaning: "Claim" }];
+        const palette = [previous[1], { id: "c-a", color: "#C8E6C9", meaning: "Key" }];
+        const raw = "<mark class=\"rh-concept\">x</mark> <mark style=\"background: #a5d6a7; color: black;\">y</mark>";
+        expect(migrateColorMarkup(raw, palette, { previous }).content)
+            .toBe("<mark style=\"background: #C8E6C9; color: black;\">x</mark> <mark style=\"background: #C8E6C9; color: black;\">y</mark>");
+    });
+});
+
+describe("color-bound tags", () => {
+    const palette = [
+        { color: "#C8E6C9", meaning: "Key", autoTag: "" },
+        { color: "#FFCDD2", meaning: "Disagree", autoTag: "#disagree, review" },
+    ];
+
+    it("reads the tags bound to a color", () => {
+        expect(colorTags(palette[1])).toEqual(["disagree", "review"]);
+        expect(colorTags(palette[0])).toEqual([]);
+        expect(colorTags({ color: "#fff" })).toEqual([]);
+    });
+
+    it("finds the color bound to any of the chosen tags", () => {
+        expect(findTagColor(palette, ["idea", "#Review"])).toBe(palette[1]);
+        expect(findTagColor(palette, ["idea"])).toBeNull();
+        expect(findTagColor(palette, [])).toBeNull();
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { ReaderHighlighterApi, API_VERSION } from "../src/api/ReaderHighlighterApi.js";
+import { getHighlightsFromContent } from "../src/utils/export.js";
+
+function createApi() {
+    const files = {
+        "Books/Novel.md": "#book ==first== and <mark style=\"background: #FFCDD2; color: black;\">second</mark>",
+        "Notes.md": "==third==",
+    };
+    const tfile = (path) => ({ path, extension: "md", basename: path.split("/").pop().replace(/\.md$/, "") });
+    const plugin = {
+        app: {
+            vault: { getAbstractFileByPath: (path) => (files[path] !== undefined ? tfile(path) : null) },
+        },
+        getAllPaletteColors: () => [{ color: "#FFCDD2", meaning: "Disagree" }],
+        vaultScanner: {
+            getResults: () => Object.entries(files).map(([path, raw]) => ({
+                file: tfile(path),
+                highlights: getHighlightsFromContent(raw),
+                frontmatter: {},
+            })),
+        },
+    };
+    return new ReaderHighlighterApi(plugin);
+}
+
+describe("ReaderHighlighterApi", () => {
+    it("is versioned", () => {
+        expect(createApi().version).toBe(API_VERSION);
+    });
+
+    it("queries highlights across the vault", () => {
+        const api = createApi();
+        expect(api.query("tag:book").map((h) => h.text)).toEqual(["first"]);
+        expect(api.query("color:disagree")).toMatchObject([{ text: "second", path: "Books/Novel.md" }]);
+        expect(api.query((h) => h.path === "Notes.md").map((h) => h.text)).toEqual(["third"]);
+        expect(api.query()).toHaveLength(3);
+    });
+
+    it("rejects unknown notes and invalid ranges", async () => {
+        const api = createApi();
+        await expect(api.listHighlights("Missing.md")).rejects.toThrow("not a markdown note");
+        await expect(api.highlight("Notes.md", { start: 5, end: 2 })).rejects.toThrow("range must be");
+    });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { UndoHistory } from "../src/core/UndoHistory.js";
+import { computeDiff, applyDiff, invertDiff, withContext, patchText } from "../src/core/TextDiff.js";
+
+describe("TextDiff", () => {
+    it("produces tight hunks that round-trip", () => {
+        const before = "line one\nline two\nline three\n";
+        const after = "line one\n==line two==\nline three\n";
+        const hunks = computeDiff(before, after);
+
+        expect(hunks).toEqual([
+            { start: 9, deleted: "", inserted: "==" },
+            { start: 17, deleted: "", inserted: "==" },
+        ]);
+        expect(applyDiff(before, hunks)).toBe(after);
+        expect(applyDiff(after, invertDiff(hunks))).toBe(before);
+    });
+
+    it("handles changes on separate lines (frontmatter + body)", () => {
+        const before = "---\ntags: []\n---\nSome text here.\nMore.\n";
+        const after = "---\ntags: [resaltados]\n---\nSome ==text== here.\nMore.\n";
+        const hunks = computeDiff(before, after);
+
+        expect(hunks.length).toBeGreaterThan(1);
+        expect(applyDiff(before, hunks)).toBe(after);
+        expect(applyDiff(after, invertDiff(hunks))).toBe(before);
+    });
+
+    it("returns null when the text no longer matches", () => {
+        const hunks = computeDiff("abc", "a==b==c");
+        expect(applyDiff("xyz", invertDiff(hunks))).toBeNull();
+    });
+});
+
+describe("patchText", () => {
+    const before = "Intro line.\nThe quick brown fox jumps.\nOutro line.\n";
+    const after = "Intro line.\nThe ==quick brown== fox jumps.\nOutro line.\n";
+    const undo = withContext(after, invertDiff(computeDiff(before, after)));
+
+    it("relocates the inverse patch after edits elsewhere in the note", () => {
+        const edited = "Added a paragraph on top.\n\n" + after + "And a new ending.\n";
+        const { content, conflicts } = patchText(edited, undo);
+
+        expect(conflicts).toEqual([]);
+        expect(content).toBe("Added a paragraph on top.\n\n" + before + "And a new ending.\n");
+    });
+
+    it("keeps edits made next to the highlight", () => {
+        const edited = after.replace("fox jumps.", "fox jumps over the dog.");
+        const { content } = patchText(edited, undo);
+
+        expect(content).toBe(before.replace("fox jumps.", "fox jumps over the dog."));
+    });
+
+    it("reports a conflict when the highlighted region was rewritten", () => {
+        const edited = after.replace("==quick brown==", "slow grey");
+        const { content, conflicts } = patchText(edited, undo);
+
+        expect(content).toBeNull();
+        expect(conflicts.length).toBeGreaterThan(0);
+    });
+});
+
+describe("UndoHistory", () => {
+    let history;
+
+    beforeEach(() => {
+        history = new UndoHistory({ maxSteps: 3, maxFiles: 2 });
+    });
+
+    it("walks back several steps and redoes them", () => {
+        let text = "alpha beta gamma";
+        const steps = ["==alpha== beta gamma", "==alpha== ==beta== gamma", "==alpha== ==beta== ==gamma=="];
+        for (const next of steps) {
+            history.record("a.md", text, next, "Highlight");
+            text = next;
+        }
+
+        for (const expected of ["==alpha== ==beta== gamma", "==alpha== beta gamma", "alpha beta gamma"]) {
+            const plan = history.previewUndo("a.md", text);
+            expect(plan.content).toBe(expected);
+            history.commitUndo("a.md");
+            text = plan.content;
+        }
+        expect(history.canUndo("a.md")).toBe(false);
+
+        const redo = history.previewRedo("a.md", text);
+        expect(redo.content).toBe("==alpha== beta gamma");
+        history.commitRedo("a.md");
+        expect(history.canRedo("a.md")).toBe(true);
+    });
+
+    it("clears the redo stack on a new record", () => {
+        history.record("a.md", "x", "==x==", "Highlight");
+        history.commitUndo("a.md");
+        expect(history.canRedo("a.md")).toBe(true);
+
+        history.record("a.md", "x", "**x**", "Bold");
+        expect(history.canRedo("a.md")).toBe(false);
+    });
+
+    it("keeps separate stacks per file and tracks the latest one", () => {
+        history.record("a.md", "a", "==a==", "Highlight");
+        history.record("b.md", "b", "==b==", "Highlight");
+
+        expect(history.latestPath("undo")).toBe("b.md");
+        history.commitUndo("b.md");
+        expect(history.latestPath("undo")).toBe("a.md");
+        expect(history.latestPath("redo")).toBe("b.md");
+    });
+
+    it("bounds steps per file and the number of files", () => {
+        for (let i = 0; i < 5; i++) {
+            history.record("a.md", `v${i}`, `v${i + 1}`, `Step ${i}`);
+        }
+        expect(history.getEntries("a.md").undo.map((e) => e.label)).toEqual(["Step 4", "Step 3", "Step 2"]);
+
+        history.record("b.md", "b", "==b==", "Highlight");
+        history.record("c.md", "c", "==c==", "Highlight");
+        expect(history.canUndo("a.md")).toBe(false);
+        expect(history.canUndo("c.md")).toBe(true);
+    });
+
+    it("follows renames", () => {
+        history.record("old.md", "a", "==a==", "Highlight");
+        history.rename("old.md", "new.md");
+        expect(history.canUndo("old.md")).toBe(false);
+        expect(history.previewUndo("new.md", "==a==").content).toBe("a");
+    });
+
+    it("undoes a change to many files as one batch, apart from the per-file stacks", () => {
+        const batch = history.recordBatch("Convert", [
+            { path: "a.md", before: "==a==", after: "<mark>a</mark>" },
+            { path: "b.md", before: "same", after: "same" },
+            { path: "c.md", before: "x ==c==", after: "x <mark>c</mark>" },
+        ]);
+        expect(batch.files.map((file) => file.path)).toEqual(["a.md", "c.md"]);
+        expect(history.canUndo("a.md")).toBe(false);
+        expect(history.recordBatch("Nothing", [{ path: "a.md", before: "a", after: "a" }])).toBeNull();
+
+        history.rename("c.md", "d.md");
+        const latest = history.latestBatch();
+        expect(latest.files.map((file) => history.previewBatchUndo(file, file.path === "a.md" ? "<mark>a</mark>" : "x <mark>c</mark> more").content))
+            .toEqual(["==a==", "x ==c== more"]);
+        expect(latest.files[1].path).toBe("d.md");
+        history.commitBatch();
+        expect(history.latestBatch()).toBeNull();
+    });
+
+    it("keeps a bounded number of batches", () => {
+        history = new UndoHistory({ maxBatches: 2 });
+        ["one", "two", "three"].forEach((label) => history.recordBatch(label, [{ path: "a.md", before: "a", after: label }]));
+        expect(history.batches.map((batch) => batch.label)).toEqual(["two", "three"]);
+    });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { VaultScanner } from "../src/core/VaultScanner.js";
+import { HighlightIndex } from "../src/core/HighlightIndex.js";
 
 describe("VaultScanner", () => {
     let mockApp;
@@ -60,4 +61,98 @@ describe("VaultScanner", () => {
         await scanner.scanVault();
         expect(mockApp.vault.cachedRead).toHaveBeenCalledTimes(2); // Should be called now
     });
+
+    it("updates single files and notifies listeners", async () => {
+        const file = { path: "note.md", basename: "Note", stat: { mtime: 1 } };
+        mockApp.vault.getMarkdownFiles.mockReturnValue([file]);
+        mockApp.vault.cachedRead.mockResolvedValue("A ==first== here");
+        await scanner.scanVault();
+
+        const listener = vi.fn();
+        scanner.onChange(listener);
+
+        // Unchanged file: nothing to do
+        expect(await scanner.updateFile(file)).toBe(false);
+        expect(listener).not.toHaveBeenCalled();
+
+        file.stat.mtime = 2;
+        mockApp.vault.cachedRead.mockResolvedValue("A ==first== and ==second==");
+        expect(await scanner.updateFile(file)).toBe(true);
+        expect(listener).toHaveBeenCalledWith(["note.md"]);
+        expect(scanner.getResults()[0].highlights.map((h) => h.text)).toEqual(["first", "second"]);
+    });
+
+    it("refreshes frontmatter without re-reading the file", async () => {
+        const file = { path: "note.md", basename: "Note", stat: { mtime: 1 } };
+        mockApp.vault.getMarkdownFiles.mockReturnValue([file]);
+        mockApp.vault.cachedRead.mockResolvedValue("A ==highlight== here");
+        await scanner.scanVault();
+
+        mockApp.metadataCache.getFileCache.mockReturnValue({ frontmatter: { status: "done" } });
+        expect(await scanner.updateFile(file)).toBe(true);
+        expect(mockApp.vault.cachedRead).toHaveBeenCalledTimes(1);
+        expect(scanner.getResults()[0].frontmatter).toEqual({ status: "done" });
+    });
+
+    it("follows renames and deletions", async () => {
+        const file = { path: "old.md", basename: "old", stat: { mtime: 1 } };
+        mockApp.vault.getMarkdownFiles.mockReturnValue([file]);
+        mockApp.vault.cachedRead.mockResolvedValue("A ==highlight== here");
+        await scanner.scanVault();
+
+        const listener = vi.fn();
+        scanner.onChange(listener);
+        file.path = "new.md";
+        scanner.renameFile(file, "old.md");
+        expect(listener).toHaveBeenLastCalledWith(["old.md", "new.md"]);
+        expect(scanner.getResults()).toHaveLength(1);
+
+        scanner.removeFile("new.md");
+        expect(scanner.getResults()).toHaveLength(0);
+    });
+
+    it("restores a saved cache and only reads notes changed since", async () => {
+        const kept = { path: "kept.md", basename: "kept", stat: { mtime: 5 } };
+        const edited = { path: "edited.md", basename: "edited", stat: { mtime: 9 } };
+        const saved = JSON.parse(JSON.stringify({
+            version: 4,
+            files: {
+                "kept.md": { mtime: 5, highlights: [{ text: "cached" }], frontmatter: {} },
+                "edited.md": { mtime: 1, highlights: [{ text: "stale" }], frontmatter: {} },
+                "deleted.md": { mtime: 1, highlights: [{ text: "gone" }], frontmatter: {} },
+            },
+        }));
+        scanner.load(saved);
+        mockApp.vault.getMarkdownFiles.mockReturnValue([kept, edited]);
+        mockApp.vault.cachedRead.mockResolvedValue("Now ==fresh==");
+
+        // Cached results are available before any scan
+        expect(scanner.getResults().map((r) => r.file.path)).toEqual(["edited.md", "kept.md"]);
+
+        const results = await scanner.scanVault();
+        expect(mockApp.vault.cachedRead).toHaveBeenCalledTimes(1);
+        expect(results.map((r) => r.highlights[0].text)).toEqual(["fresh", "cached"]);
+        expect(scanner.toJSON().files["deleted.md"]).toBeUndefined();
+    });
+
+    it("reports index changes only after the first scan", async () => {
+        const index = new HighlightIndex();
+        const listener = vi.fn();
+        index.onSync(listener);
+        scanner = new VaultScanner(mockApp, index);
+        const file = { path: "note.md", basename: "Note", stat: { mtime: 1 } };
+        mockApp.vault.getMarkdownFiles.mockReturnValue([file]);
+        mockApp.vault.cachedRead.mockResolvedValue("Old ==one== and ==two==");
+
+        // Highlights that already existed are indexed without events
+        await scanner.scanVault();
+        expect(index.getFile("note.md")).toHaveLength(2);
+        expect(listener).not.toHaveBeenCalled();
+
+        file.stat.mtime = 2;
+        mockApp.vault.cachedRead.mockResolvedValue("Old ==one== and ==two== and ==three==");
+        await scanner.updateFile(file);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][1].added.map((record) => record.text)).toEqual(["three"]);
+    });
 });
@@ -0,0 +1,19 @@
+import { describe, it, expect } from "vitest";
+import { canvasColorFor } from "../src/utils/canvas.js";
+
+describe("canvasColorFor", () => {
+    it("maps palette colors to canvas colors by hue", () => {
+        expect(["#FFCDD2", "#FFE0B2", "#FFF9C4", "#C8E6C9", "#BBDEFB", "#D1C4E9"].map(canvasColorFor))
+            .toEqual(["1", "2", "3", "4", "5", "6"]);
+    });
+
+    it("follows edited colors and short hex", () => {
+        expect(canvasColorFor("#e53935")).toBe("1");
+        expect(canvasColorFor("#0f0")).toBe("4");
+    });
+
+    it("leaves gray and unknown colors on the default card color", () => {
+        expect(canvasColorFor("#eeeeee")).toBe("");
+        expect(canvasColorFor("yellow")).toBe("");
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { getPresetRange, getCustomRange, isInRange } from "../src/utils/dates.js";
+
+describe("date ranges", () => {
+    // Friday, 2026-10-16 15:30 local time
+    const now = new Date(2026, 9, 16, 15, 30);
+
+    it("covers the current day for 'today'", () => {
+        const range = getPresetRange("today", now);
+        expect(isInRange(new Date(2026, 9, 16, 0, 0).getTime(), range)).toBe(true);
+        expect(isInRange(new Date(2026, 9, 15, 23, 59).getTime(), range)).toBe(false);
+        expect(isInRange(new Date(2026, 9, 17, 0, 0).getTime(), range)).toBe(false);
+    });
+
+    it("starts 'this week' on Monday by default", () => {
+        const range = getPresetRange("week", now);
+        expect(range.from).toBe(new Date(2026, 9, 12).getTime());
+        expect(range.to).toBe(new Date(2026, 9, 19).getTime());
+
+        const sundayStart = getPresetRange("week", now, 0);
+        expect(sundayStart.from).toBe(new Date(2026, 9, 11).getTime());
+    });
+
+    it("covers the calendar month for 'this month'", () => {
+        const range = getPresetRange("month", now);
+        expect(range.from).toBe(new Date(2026, 9, 1).getTime());
+        expect(range.to).toBe(new Date(2026, 10, 1).getTime());
+    });
+
+    it("has no range for 'all'", () => {
+        expect(getPresetRange("all", now)).toBeNull();
+        expect(isInRange(undefined, null)).toBe(true);
+    });
+
+    it("builds inclusive custom ranges with open ends", () => {
+        const range = getCustomRange("2026-10-01", "2026-10-16");
+        expect(isInRange(new Date(2026, 9, 16, 23, 0).getTime(), range)).toBe(true);
+        expect(isInRange(new Date(2026, 8, 30).getTime(), range)).toBe(false);
+
+        const openEnded = getCustomRange("", "2026-10-01");
+        expect(isInRange(0, openEnded)).toBe(true);
+        expect(getCustomRange("", "")).toBeNull();
+    });
+
+    it("excludes highlights without a timestamp when a range is set", () => {
+        expect(isInRange(undefined, getPresetRange("today", now))).toBe(false);
+    });
+});